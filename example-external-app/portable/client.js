@@ -6,20 +6,59 @@
  */
 
 import EventEmitter from 'events';
-import config from './config.js';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import config, { mergeConfig } from './config.js';
+import EventJournal from './utils/EventJournal.js';
+import HttpClient from './utils/HttpClient.js';
+import NoteVersions, { noteVersion, withVersion, rebaseOrConflict } from './utils/NoteVersions.js';
+import NoteHistory from './utils/NoteHistory.js';
+import BulkNotes from './utils/BulkNotes.js';
+import NoteTags from './utils/NoteTags.js';
+
+// Webhook event types -> emitted client events
+const CHANGE_EVENTS = {
+  created: 'noteCreated',
+  updated: 'noteUpdated',
+  deleted: 'noteDeleted'
+};
 
 class KnowledgeAiMcpClient extends EventEmitter {
   constructor(options = {}) {
     super();
     
-    this.config = {
-      ...config,
-      ...options
-    };
+    this.config = mergeConfig(config, options);
     
+    this.http = new HttpClient(this.config.apiUrl, this.config.http);
+    this.versions = new NoteVersions(this.config.concurrency); // Merge bases for expectedVersion updates
+    this.history = new NoteHistory({
+      versions: this.versions, // History fallback when the API keeps no revisions
+      request: async (projectId, path) => (await this.parseJsonResponse(await this.apiRequest(`/api/projects/${projectId}${path}`))).data
+    });
+    this.bulk = new BulkNotes({
+      ...this.config.bulk,
+      request: async (projectId, path) => (await this.parseJsonResponse(await this.apiRequest(`/api/projects/${projectId}${path}`))).data
+    });
+    this.tags = new NoteTags(this.bulk);
     this.connected = false;
     this.webhookServer = null;
     this.webhookUrl = null;
+    this.webhookRegistered = false;
+    this.seenDeliveries = new Map(); // signature -> { deliveryId, expiresAt (ms) }
+
+    // Change detection: 'webhook' or 'poll' once connected
+    this.changeMode = null;
+    this.pollTimer = null;
+    this.pollInProgress = false;
+    this.noteSnapshot = null; // note ID -> { note, fingerprint }
+
+    // Durable change processing (journal on disk when enabled, else in memory)
+    const journalConfig = this.getJournalConfig();
+    this.journal = new EventJournal({
+      path: journalConfig.enabled ? journalConfig.path : null,
+      retentionDays: journalConfig.retentionDays,
+      compactEvery: journalConfig.compactEvery
+    });
+    this.closed = false;
   }
 
   /**
@@ -30,10 +69,13 @@ class KnowledgeAiMcpClient extends EventEmitter {
       // Test API connection
       await this.testConnection();
       
-      // Set up webhook receiver if enabled
+      // Resume deliveries that were journaled but not processed before a crash
+      this.closed = false;
+      await this.recoverPendingEvents();
+      
+      // Set up change notifications (webhook, polling, or webhook with polling fallback)
       if (this.config.webhook.enabled) {
-        await this.setupWebhookReceiver();
-        await this.registerWebhook();
+        await this.setupChangeDetection();
       }
       
       this.connected = true;
@@ -41,8 +83,10 @@ class KnowledgeAiMcpClient extends EventEmitter {
       
       if (this.config.logging.enabled) {
         console.log('✅ Knowledge AI MCP Client connected successfully');
-        if (this.webhookUrl) {
+        if (this.changeMode === 'webhook') {
           console.log(`📡 Webhook receiver running at: ${this.webhookUrl}`);
+        } else if (this.changeMode === 'poll') {
+          console.log(`🔄 Polling for note changes every ${this.getChangesConfig().pollInterval}ms`);
         }
       }
       
@@ -56,6 +100,9 @@ class KnowledgeAiMcpClient extends EventEmitter {
    * Disconnect and cleanup
    */
   async disconnect() {
+    this.closed = true;
+    this.stopPolling();
+
     if (this.webhookServer) {
       this.webhookServer.close();
     }
@@ -78,6 +125,129 @@ class KnowledgeAiMcpClient extends EventEmitter {
     }
   }
 
+  /**
+   * Change detection settings with defaults
+   */
+  getChangesConfig() {
+    return {
+      mode: 'auto', // 'webhook', 'poll' or 'auto' (webhook, falling back to poll)
+      pollInterval: 30000,
+      pageSize: 200,
+      unref: false,
+      ...this.config.changes
+    };
+  }
+
+  /**
+   * Choose and start the change detection mode
+   */
+  async setupChangeDetection() {
+    const { mode } = this.getChangesConfig();
+
+    if (mode !== 'poll') {
+      try {
+        await this.setupWebhookReceiver();
+      } catch (error) {
+        if (mode === 'webhook') throw error;
+        console.warn(`Webhook receiver failed to start (${error.message}), falling back to polling for note changes`);
+        await this.startPolling();
+        return;
+      }
+      await this.registerWebhook();
+
+      if (this.webhookRegistered || mode === 'webhook') {
+        this.changeMode = 'webhook';
+        return;
+      }
+
+      // Knowledge AI can't reach us (NAT, containers, CI) - poll instead
+      console.warn('Webhook registration failed, falling back to polling for note changes');
+      this.webhookServer.close();
+      this.webhookServer = null;
+      this.webhookUrl = null;
+    }
+
+    await this.startPolling();
+  }
+
+  /**
+   * Start polling listNotes for changes
+   */
+  async startPolling() {
+    const { pollInterval, unref } = this.getChangesConfig();
+
+    this.changeMode = 'poll';
+    this.noteSnapshot = await this.takeNoteSnapshot();
+
+    this.pollTimer = setInterval(() => {
+      this.pollChanges().catch(error => this.emit('pollError', error));
+    }, pollInterval);
+    if (unref) this.pollTimer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.noteSnapshot = null;
+  }
+
+  /**
+   * Diff the current notes against the last snapshot and dispatch
+   * noteCreated/noteUpdated/noteDeleted like the webhook would
+   */
+  async pollChanges() {
+    if (this.pollInProgress || !this.noteSnapshot) return;
+    this.pollInProgress = true;
+
+    try {
+      const previous = this.noteSnapshot;
+      const current = await this.takeNoteSnapshot();
+      this.noteSnapshot = current;
+
+      for (const [id, entry] of current) {
+        const before = previous.get(id);
+        if (!before) {
+          await this.acceptChange(`poll:created:${id}:${entry.fingerprint}`, 'created', entry.note, 'poll');
+        } else if (before.fingerprint !== entry.fingerprint) {
+          await this.acceptChange(`poll:updated:${id}:${entry.fingerprint}`, 'updated', entry.note, 'poll');
+        }
+      }
+
+      for (const [id, entry] of previous) {
+        if (!current.has(id)) {
+          await this.acceptChange(`poll:deleted:${id}:${entry.fingerprint}`, 'deleted', entry.note, 'poll');
+        }
+      }
+    } finally {
+      this.pollInProgress = false;
+    }
+  }
+
+  /**
+   * Page through all notes and fingerprint them by updated timestamp and content hash
+   */
+  async takeNoteSnapshot() {
+    const { pageSize } = this.getChangesConfig();
+    const snapshot = new Map();
+
+    for await (const note of this.iterateNotes({ pageSize, concurrency: 1 })) {
+      snapshot.set(String(note.id), { note, fingerprint: this.fingerprintNote(note) });
+    }
+
+    return snapshot;
+  }
+
+  fingerprintNote(note) {
+    const contentHash = note.content_hash ||
+      (note.content !== undefined ? createHash('sha256').update(note.content).digest('hex') : '');
+    return `${note.updated_at || ''}:${contentHash}`;
+  }
+
   /**
    * Set up webhook receiver server
    */
@@ -93,13 +263,21 @@ class KnowledgeAiMcpClient extends EventEmitter {
       }
     });
 
-    // Listen on configured port (0 = auto-assign)
-    await new Promise((resolve, reject) => {
-      this.webhookServer.listen(this.config.webhook.port, (err) => {
-        if (err) reject(err);
-        else resolve();
+    // Listen on configured port (0 = auto-assign). listen() reports
+    // failures like EADDRINUSE as an 'error' event, not to its callback.
+    try {
+      await new Promise((resolve, reject) => {
+        this.webhookServer.once('error', reject);
+        this.webhookServer.listen(this.config.webhook.port, () => {
+          this.webhookServer.off('error', reject);
+          resolve();
+        });
       });
-    });
+    } catch (error) {
+      this.webhookServer = null;
+      throw error;
+    }
+    this.webhookServer.on('error', error => this.emit('webhookError', error));
 
     const address = this.webhookServer.address();
     this.webhookUrl = `http://localhost:${address.port}${this.config.webhook.path}`;
@@ -109,38 +287,206 @@ class KnowledgeAiMcpClient extends EventEmitter {
    * Handle incoming webhook
    */
   async handleWebhook(req, res) {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const rawBody = Buffer.concat(chunks);
+      const deliveryId = req.headers['x-webhook-id'] || createHash('sha256').update(rawBody).digest('hex');
+
+      const verification = this.verifyWebhookSignature(rawBody, req.headers, deliveryId);
+      if (!verification.valid) {
+        this.emit('webhookRejected', {
+          reason: verification.reason,
+          deliveryId: req.headers['x-webhook-id'] || null,
+          remoteAddress: req.socket.remoteAddress
+        });
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: verification.reason }));
+        return;
+      }
+
+      let data;
       try {
-        const data = JSON.parse(body);
-        
-        // Emit events based on webhook event type
-        switch (data.event) {
-          case 'created':
-            this.emit('noteCreated', data.data);
-            break;
-          case 'updated':
-            this.emit('noteUpdated', data.data);
-            break;
-          case 'deleted':
-            this.emit('noteDeleted', data.data);
-            break;
-        }
-        
-        this.emit('webhookReceived', data);
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-        
+        data = JSON.parse(rawBody.toString('utf8'));
       } catch (error) {
         console.error('Webhook parsing error:', error);
         res.writeHead(400);
         res.end();
+        return;
+      }
+
+      // Journal before acking so an acknowledged delivery is never lost.
+      // The signature only counts as seen once journaled, so a retry after a
+      // failed write or a lost ack gets through (and is deduplicated).
+      try {
+        const accepted = await this.acceptChange(deliveryId, data.event, data.data, 'webhook');
+        this.rememberDelivery(verification, deliveryId);
+        if (accepted) {
+          this.emit('webhookReceived', data);
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, deliveryId, duplicate: !accepted }));
+      } catch (error) {
+        console.error('Webhook journaling error:', error);
+        res.writeHead(500);
+        res.end();
       }
     });
   }
 
+  /**
+   * Verify a webhook delivery when a secret is configured.
+   *
+   * Expects `X-Webhook-Timestamp` (unix seconds) and
+   * `X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">`.
+   * Deliveries outside the tolerance window, or replaying a journaled
+   * delivery's signature under another delivery ID, are rejected. Retries
+   * of a delivery (same ID) pass and are deduplicated by the journal.
+   */
+  verifyWebhookSignature(rawBody, headers, deliveryId) {
+    const secret = this.config.webhook.secret;
+    if (!secret) {
+      return { valid: true };
+    }
+
+    const timestamp = headers['x-webhook-timestamp'];
+    const signatureHeader = headers['x-webhook-signature'];
+    if (!timestamp || !signatureHeader) {
+      return { valid: false, reason: 'Missing signature headers' };
+    }
+
+    const toleranceMs = (this.config.webhook.signatureTolerance ?? 300) * 1000;
+    const sentAt = Number(timestamp) * 1000;
+    const now = Date.now();
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > toleranceMs) {
+      return { valid: false, reason: 'Stale or invalid timestamp' };
+    }
+
+    const expected = createHmac('sha256', secret)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest();
+    const provided = Buffer.from(signatureHeader.replace(/^sha256=/, ''), 'hex');
+    if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    // Replay protection: signatures are remembered for as long as they'd be accepted
+    for (const [key, seen] of this.seenDeliveries) {
+      if (seen.expiresAt <= now) this.seenDeliveries.delete(key);
+    }
+    const signature = expected.toString('hex');
+    const seen = this.seenDeliveries.get(signature);
+    if (seen && seen.deliveryId !== deliveryId) {
+      return { valid: false, reason: 'Replayed delivery' };
+    }
+
+    return { valid: true, signature, expiresAt: sentAt + toleranceMs };
+  }
+
+  /**
+   * Remember a journaled delivery's signature for replay protection
+   */
+  rememberDelivery(verification, deliveryId) {
+    if (verification.signature) {
+      this.seenDeliveries.set(verification.signature, { deliveryId, expiresAt: verification.expiresAt });
+    }
+  }
+
+  /**
+   * Event journal settings with defaults
+   */
+  getJournalConfig() {
+    return {
+      enabled: false,
+      path: '.knowledge-ai/events.jsonl',
+      retentionDays: 7,
+      compactEvery: 1000,
+      maxAttempts: 5,
+      retryDelay: 1000,
+      ...this.config.journal
+    };
+  }
+
+  /**
+   * Journal a change delivery and start processing it.
+   * Returns false for deliveries already seen (duplicates are not re-emitted).
+   */
+  async acceptChange(deliveryId, event, data, source) {
+    await this.journal.load();
+    if (this.journal.has(deliveryId)) {
+      return false;
+    }
+
+    await this.journal.recordReceived({ id: deliveryId, event, data, source });
+    this.processChange(this.journal.entries.get(deliveryId));
+    return true;
+  }
+
+  /**
+   * Deliver a journaled change to listeners, retrying failed listeners with
+   * exponential backoff. Listeners may see a change more than once
+   * (at-least-once), so they should be idempotent.
+   */
+  async processChange(entry) {
+    const { maxAttempts, retryDelay } = this.getJournalConfig();
+    const eventName = CHANGE_EVENTS[entry.event];
+    let attempts = 0;
+
+    while (!this.closed) {
+      attempts++;
+      try {
+        if (eventName) {
+          await Promise.all(this.rawListeners(eventName).map(async listener => listener.call(this, entry.data)));
+        }
+      } catch (error) {
+        if (attempts >= maxAttempts) {
+          await this.journal.markFailed(entry.id, attempts, error.message).catch(() => {});
+          this.emit('eventFailed', { deliveryId: entry.id, event: entry.event, attempts, error });
+          return false;
+        }
+
+        this.emit('eventRetry', { deliveryId: entry.id, event: entry.event, attempts, error });
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempts - 1)));
+        continue;
+      }
+
+      await this.journal.markProcessed(entry.id, attempts).catch(error => {
+        console.error('Event journal write failed:', error.message);
+      });
+      return true;
+    }
+
+    // Disconnected mid-retry: the entry stays pending for the next connect()
+    return false;
+  }
+
+  /**
+   * Re-process deliveries left pending by a previous run
+   */
+  async recoverPendingEvents() {
+    await this.journal.load();
+    for (const entry of this.journal.pending()) {
+      this.processChange(entry);
+    }
+  }
+
+  /**
+   * Replay journaled changes received at or after `since` (Date, ISO string
+   * or epoch ms), in arrival order. Returns the number of replayed changes.
+   */
+  async replay(since) {
+    await this.journal.load();
+    const entries = this.journal.since(since);
+
+    for (const entry of entries) {
+      await this.processChange(entry);
+    }
+
+    return entries.length;
+  }
+
   /**
    * Register webhook with Knowledge AI
    */
@@ -148,7 +494,9 @@ class KnowledgeAiMcpClient extends EventEmitter {
     if (!this.webhookUrl) return;
     
     try {
-      console.log(`🔍 Registering webhook to: ${this.config.apiUrl}/api/webhooks`);
+      if (this.config.logging.enabled) {
+        console.log(`🔍 Registering webhook to: ${this.config.apiUrl}/api/webhooks`);
+      }
       await this.apiRequest('/api/webhooks', {
         method: 'POST',
         body: JSON.stringify({
@@ -161,10 +509,12 @@ class KnowledgeAiMcpClient extends EventEmitter {
         })
       });
       
+      this.webhookRegistered = true;
       if (this.config.logging.enabled) {
         console.log(`📡 Webhook registered: ${this.webhookUrl}`);
       }
     } catch (error) {
+      this.webhookRegistered = false;
       console.warn('Failed to register webhook:', error.message);
     }
   }
@@ -173,14 +523,17 @@ class KnowledgeAiMcpClient extends EventEmitter {
    * Unregister webhook
    */
   async unregisterWebhook() {
-    if (!this.webhookUrl) return;
+    if (!this.webhookUrl || !this.webhookRegistered) return;
     
     try {
-      console.log(`🔍 Unregistering webhook from: ${this.config.apiUrl}/api/webhooks`);
+      if (this.config.logging.enabled) {
+        console.log(`🔍 Unregistering webhook from: ${this.config.apiUrl}/api/webhooks`);
+      }
       await this.apiRequest('/api/webhooks', {
         method: 'DELETE',
         body: JSON.stringify({ url: this.webhookUrl })
       });
+      this.webhookRegistered = false;
     } catch (error) {
       console.warn('Failed to unregister webhook:', error.message);
     }
@@ -190,41 +543,14 @@ class KnowledgeAiMcpClient extends EventEmitter {
    * Generic API request method
    */
   async apiRequest(endpoint, options = {}) {
-    const url = `${this.config.apiUrl}${endpoint}`;
-    
-    const fetchOptions = {
-      method: 'GET',
+    return this.http.request(endpoint, {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
         'X-API-Key': this.config.apiKey,
-        'User-Agent': 'Knowledge-AI-MCP-Portable/1.0'
-      },
-      timeout: this.config.http.timeout,
-      ...options
-    };
-
-    let attempt = 0;
-    while (attempt <= this.config.http.retries) {
-      try {
-        const response = await fetch(url, fetchOptions);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        return response;
-        
-      } catch (error) {
-        attempt++;
-        if (attempt > this.config.http.retries) {
-          throw error;
-        }
-        
-        await new Promise(resolve => 
-          setTimeout(resolve, this.config.http.retryDelay * attempt)
-        );
+        'User-Agent': 'Knowledge-AI-MCP-Portable/1.0',
+        ...options.headers
       }
-    }
+    });
   }
 
   /**
@@ -252,31 +578,88 @@ class KnowledgeAiMcpClient extends EventEmitter {
     });
     
     const result = await this.parseJsonResponse(response);
-    return result.data;
+    this.versions.remember(projectId, result.data, { changedBy: noteData.created_by });
+    return withVersion(result.data);
   }
 
   /**
-   * Get a note by ID
+   * Get a note by ID (with its `version`, for updateNote's expectedVersion)
    */
   async getNote(id, projectId = null) {
     projectId = projectId || this.getProjectFromApiKey();
     const response = await this.apiRequest(`/api/projects/${projectId}/notes/${id}`);
     const result = await this.parseJsonResponse(response);
-    return result.data;
+    this.versions.remember(projectId, result.data);
+    return withVersion(result.data);
   }
 
   /**
-   * Update a note using old_str/new_str pattern
+   * Update a note using old_str/new_str pattern.
+   * With `expectedVersion`, the update is refused with a ConflictError
+   * (error.conflict holds a three-way diff) if the note changed since that
+   * version, or merged into the current note when `rebase` is set and the
+   * changes don't overlap.
    */
-  async updateNote(id, updateData, projectId = null) {
+  async updateNote(id, updateData, projectId = null, { expectedVersion = null, rebase = false } = {}) {
     projectId = projectId || this.getProjectFromApiKey();
+    let body = updateData;
+    const headers = {};
+
+    if (expectedVersion !== null) {
+      const current = await this.getNote(id, projectId);
+      const isContentUpdate = updateData.old_str !== undefined && updateData.new_str !== undefined;
+      const rebased = rebaseOrConflict({
+        noteId: id,
+        expectedVersion,
+        current,
+        base: this.versions.get(projectId, current?.id ?? id, expectedVersion),
+        applyChange: content => !isContentUpdate
+          ? content
+          : content.includes(updateData.old_str) ? content.replace(updateData.old_str, () => updateData.new_str) : null,
+        rebase
+      });
+      if (rebased !== null && isContentUpdate) {
+        body = { ...updateData, old_str: current.content, new_str: rebased };
+      }
+      headers['If-Match'] = `"${noteVersion(current)}"`;
+    }
+
     const response = await this.apiRequest(`/api/projects/${projectId}/notes/${id}`, {
       method: 'PATCH',
-      body: JSON.stringify(updateData)
+      headers,
+      body: JSON.stringify(body)
     });
     
     const result = await this.parseJsonResponse(response);
-    return result.data;
+    this.versions.remember(projectId, result.data, { changedBy: updateData.changed_by });
+    return withVersion(result.data);
+  }
+
+  /**
+   * List a note's revisions, newest first: { source, revisions, total }.
+   * source is 'local' when the API keeps no revisions and the list only
+   * holds versions this client has read or written.
+   */
+  async getNoteHistory(id, options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    return this.history.list(projectId, id, { limit: options.limit || 20 });
+  }
+
+  /**
+   * Get a note's content at a revision (revision ID, version or 'current')
+   */
+  async getNoteRevision(id, revision, projectId = null) {
+    projectId = projectId || this.getProjectFromApiKey();
+    return this.history.revision(projectId, id, revision);
+  }
+
+  /**
+   * Diff two revisions of a note. Options: format ('unified' or 'words'),
+   * context, projectId
+   */
+  async diffNoteRevisions(id, from, to = 'current', options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    return this.history.diff(projectId, id, from, to, { format: options.format, context: options.context });
   }
 
   /**
@@ -292,6 +675,201 @@ class KnowledgeAiMcpClient extends EventEmitter {
     return result.success;
   }
 
+  /**
+   * Create many notes. Returns { results, summary } with one result per
+   * note ('created' or 'failed'; notes without a title or content fail
+   * without a request). Options: projectId, createdBy, concurrency,
+   * dryRun (return what would be created, without writing)
+   */
+  async bulkCreateNotes(notes, options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    this.bulk.checkSize(notes.length, 'notes');
+
+    const invalid = [];
+    const creates = [];
+    notes.forEach((note, index) => {
+      const error = this.bulk.checkNewNote(note);
+      if (error) {
+        invalid.push({ index, title: note?.title ?? null, status: 'failed', error });
+        return;
+      }
+      creates.push({
+        index,
+        body: {
+          title: note.title,
+          content: note.content,
+          tags: note.tags || [],
+          virtual_folder: note.virtual_folder || '',
+          project_id: projectId,
+          created_by: options.createdBy
+        }
+      });
+    });
+
+    if (options.dryRun) {
+      return {
+        dry_run: true,
+        creates: creates.map(({ index, body: { title, tags, virtual_folder, content } }) => ({ index, title, tags, virtual_folder, content_length: (content ?? '').length })),
+        invalid: invalid.map(({ index, title, error }) => ({ index, title, error }))
+      };
+    }
+
+    const outcomes = await this.bulk.run(creates, async ({ body }) => {
+      const response = await this.apiRequest(`/api/projects/${projectId}/notes`, { method: 'POST', body: JSON.stringify(body) });
+      const result = await this.parseJsonResponse(response);
+      this.versions.remember(projectId, result.data, { changedBy: body.created_by });
+      return result.data;
+    }, { concurrency: options.concurrency });
+
+    const results = [
+      ...creates.map(({ index, body }, i) => outcomes[i].status === 'fulfilled'
+        ? { index, id: outcomes[i].value?.id ?? null, title: body.title, status: 'created' }
+        : { index, title: body.title, status: 'failed', error: outcomes[i].reason.message }),
+      ...invalid
+    ].sort((a, b) => a.index - b.index);
+    return { results, summary: this.bulk.summarize(results) };
+  }
+
+  /**
+   * Change tags or the folder of many notes. `target` is { ids } or
+   * { filter: { virtual_folder, tags, created_by } }; `changes` holds tags
+   * (replace), add_tags, remove_tags and/or virtual_folder. Returns
+   * { results, summary } ('updated', 'unchanged' or 'failed' per note).
+   * Options: projectId, changedBy, concurrency, dryRun
+   */
+  async bulkUpdateMetadata(target, changes, options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    const { notes, missing } = await this.bulk.resolveTargets(projectId, target);
+    const planned = notes.map(note => ({ note, plan: this.bulk.planMetadata(note, changes) }));
+    const updates = planned.filter(({ plan }) => plan !== null);
+    const changedBy = options.changedBy;
+
+    if (options.dryRun) {
+      return {
+        dry_run: true,
+        updates: updates.map(({ note, plan }) => ({ id: note.id, title: note.title, changes: plan.changes })),
+        unchanged: planned.length - updates.length,
+        missing
+      };
+    }
+
+    const outcomes = await this.bulk.run(updates, async ({ note, plan }) => {
+      const response = await this.apiRequest(`/api/projects/${projectId}/notes/${note.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...plan.body, changed_by: changedBy })
+      });
+      const result = await this.parseJsonResponse(response);
+      this.versions.remember(projectId, result.data, { changedBy });
+      return result.data;
+    }, { concurrency: options.concurrency });
+
+    const results = [
+      ...updates.map(({ note, plan }, index) => outcomes[index].status === 'fulfilled'
+        ? { id: note.id, title: note.title, status: 'updated', changes: plan.changes }
+        : { id: note.id, title: note.title, status: 'failed', error: outcomes[index].reason.message }),
+      ...planned.filter(({ plan }) => plan === null).map(({ note }) => ({ id: note.id, title: note.title, status: 'unchanged' })),
+      ...missing.map(({ id, error }) => ({ id, status: 'failed', error }))
+    ];
+    return { results, summary: this.bulk.summarize(results) };
+  }
+
+  /**
+   * Move many notes (target: { ids } or { filter }) to a virtual folder
+   */
+  async bulkMoveToFolder(target, folder, options = {}) {
+    return this.bulkUpdateMetadata(target, { virtual_folder: folder }, options);
+  }
+
+  /**
+   * Delete many notes (target: { ids } or { filter }). Returns
+   * { results, summary } ('deleted' or 'failed' per note).
+   * Options: projectId, deletedBy, concurrency, dryRun
+   */
+  async bulkDelete(target, options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    const { notes, missing } = await this.bulk.resolveTargets(projectId, target);
+
+    if (options.dryRun) {
+      return { dry_run: true, deletes: notes.map(note => ({ id: note.id, title: note.title ?? null })), missing };
+    }
+
+    const outcomes = await this.bulk.run(notes, async note => {
+      await this.apiRequest(`/api/projects/${projectId}/notes/${note.id}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ deleted_by: options.deletedBy })
+      });
+    }, { concurrency: options.concurrency });
+
+    const results = [
+      ...notes.map((note, index) => outcomes[index].status === 'fulfilled'
+        ? { id: note.id, title: note.title ?? null, status: 'deleted' }
+        : { id: note.id, title: note.title ?? null, status: 'failed', error: outcomes[index].reason.message }),
+      ...missing.map(({ id, error }) => ({ id, status: 'failed', error }))
+    ];
+    return { results, summary: this.bulk.summarize(results) };
+  }
+
+  /**
+   * Tags in use: { scanned, total_tags, tags: [{ tag, count, co_occurs }],
+   * possible_duplicates }. Options: projectId, virtualFolder, minCount,
+   * limit, related (co-occurring tags per tag)
+   */
+  async listTags(options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    return this.tags.overview(projectId, {
+      virtualFolder: options.virtualFolder,
+      minCount: options.minCount,
+      limit: options.limit,
+      related: options.related,
+      maxNotes: this.getPaginationConfig().maxItems
+    });
+  }
+
+  /**
+   * Rename a tag on every note carrying it. Returns { results, summary }.
+   * Options (for all tag rewrites): projectId, changedBy, concurrency, dryRun
+   */
+  async renameTag(tag, newTag, options = {}) {
+    return this.rewriteTags([tag], newTag, options);
+  }
+
+  /**
+   * Replace several tags with one on every note carrying any of them
+   */
+  async mergeTags(tags, into, options = {}) {
+    return this.rewriteTags(tags.filter(tag => tag !== into), into, options);
+  }
+
+  /**
+   * Remove a tag from every note carrying it
+   */
+  async deleteTag(tag, options = {}) {
+    return this.rewriteTags([tag], null, options);
+  }
+
+  async rewriteTags(sources, target, options = {}) {
+    const projectId = options.projectId || this.getProjectFromApiKey();
+    const updates = await this.tags.plan(projectId, sources, target);
+
+    if (options.dryRun) {
+      return { dry_run: true, updates: updates.map(({ note, changes }) => ({ id: note.id, title: note.title ?? null, changes })) };
+    }
+
+    const outcomes = await this.bulk.run(updates, async ({ note, body }) => {
+      const response = await this.apiRequest(`/api/projects/${projectId}/notes/${note.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...body, changed_by: options.changedBy })
+      });
+      const result = await this.parseJsonResponse(response);
+      this.versions.remember(projectId, result.data, { changedBy: options.changedBy });
+    }, { concurrency: options.concurrency });
+
+    const results = updates.map(({ note, changes }, index) => outcomes[index].status === 'fulfilled'
+      ? { id: note.id, title: note.title ?? null, status: 'updated', changes }
+      : { id: note.id, title: note.title ?? null, status: 'failed', error: outcomes[index].reason.message });
+    return { results, summary: this.bulk.summarize(results) };
+  }
+
   /**
    * Search notes
    */
@@ -319,6 +897,98 @@ class KnowledgeAiMcpClient extends EventEmitter {
     return result.data;
   }
 
+  /**
+   * Iterate over all notes matching the filters, paging transparently.
+   * Accepts the listNotes filters plus `pageSize` and `concurrency`.
+   */
+  iterateNotes(filters = {}) {
+    const { pageSize, concurrency, ...options } = filters;
+    return this.paginate(
+      async (offset, limit) => this.extractItems(await this.listNotes({ ...options, limit, offset }), 'notes'),
+      { pageSize, concurrency }
+    );
+  }
+
+  /**
+   * Iterate over all search results, paging transparently.
+   * Accepts the search options plus `pageSize` and `concurrency`.
+   */
+  iterateSearch(query, opts = {}) {
+    const { pageSize, concurrency, ...options } = opts;
+    return this.paginate(
+      async (offset, limit) => this.extractItems(await this.search(query, { ...options, limit, offset }), 'results'),
+      { pageSize, concurrency }
+    );
+  }
+
+  /**
+   * Collect an async iterable into an array, refusing to load more than `max`
+   * items unless `truncate` is set (then the first `max` are returned)
+   */
+  async collectAll(iterable, { max = this.getPaginationConfig().maxItems, truncate = false } = {}) {
+    const items = [];
+
+    for await (const item of iterable) {
+      if (items.length >= max) {
+        if (truncate) break;
+        throw new Error(`collectAll: more than ${max} items - narrow the filters or raise max`);
+      }
+      items.push(item);
+    }
+
+    return items;
+  }
+
+  /**
+   * Offset pagination with up to `concurrency` pages fetched ahead.
+   * Stops at the first short page.
+   */
+  async *paginate(fetchPage, options = {}) {
+    const defaults = this.getPaginationConfig();
+    const pageSize = options.pageSize || defaults.pageSize;
+    const concurrency = Math.max(1, options.concurrency || defaults.concurrency);
+
+    const inflight = [];
+    let nextOffset = 0;
+    const schedule = () => {
+      while (inflight.length < concurrency) {
+        const page = fetchPage(nextOffset, pageSize);
+        page.catch(() => {}); // Pages fetched past the end or abandoned by the caller
+        inflight.push(page);
+        nextOffset += pageSize;
+      }
+    };
+
+    schedule();
+    while (inflight.length > 0) {
+      const items = await inflight.shift();
+      yield* items;
+
+      if (items.length < pageSize) return;
+      schedule();
+    }
+  }
+
+  /**
+   * Pagination settings with defaults
+   */
+  getPaginationConfig() {
+    return {
+      pageSize: 100,
+      concurrency: 2,
+      maxItems: 10000,
+      ...this.config.pagination
+    };
+  }
+
+  /**
+   * Pull the item array out of a list/search response
+   */
+  extractItems(result, key) {
+    if (Array.isArray(result)) return result;
+    return Array.isArray(result?.[key]) ? result[key] : [];
+  }
+
   /**
    * Get project statistics
    */
@@ -21,20 +21,123 @@ export default {
     port: process.env.WEBHOOK_PORT || 0, // 0 = auto-assign free port
     path: '/webhook',
     secret: process.env.WEBHOOK_SECRET, // Optional webhook signature verification
+    signatureTolerance: parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE) || 300 // seconds
   },
 
-  // HTTP client configuration
+  // Change detection: 'webhook', 'poll', or 'auto' (webhook, polling if registration fails)
+  changes: {
+    mode: process.env.CHANGE_DETECTION || 'auto',
+    pollInterval: parseInt(process.env.POLL_INTERVAL) || 30000,
+    pageSize: 200,
+    unref: false // true: polling alone doesn't keep the process running
+  },
+
+  // Durable change processing: journal deliveries to disk for dedup, retries and replay
+  journal: {
+    enabled: process.env.EVENT_JOURNAL === 'true',
+    path: process.env.EVENT_JOURNAL_PATH || '.knowledge-ai/events.jsonl',
+    retentionDays: 7,
+    compactEvery: 1000, // Appends between rewrites of the file without expired entries
+    maxAttempts: 5, // Listener attempts before an event is marked failed
+    retryDelay: 1000 // Base backoff in ms (doubles per attempt)
+  },
+
+  // Async iterator pagination (iterateNotes / iterateSearch / collectAll)
+  pagination: {
+    pageSize: 100,
+    concurrency: 2, // Pages fetched ahead in parallel
+    maxItems: 10000 // Hard cap for collectAll
+  },
+
+  // Bulk note tools and client methods (bulk_create_notes, bulk_delete, ...)
+  bulk: {
+    concurrency: parseInt(process.env.BULK_CONCURRENCY) || 4, // Requests in flight per call
+    maxItems: parseInt(process.env.BULK_MAX_ITEMS) || 500 // Notes one call may touch
+  },
+
+  // Tool response shaping (see utils/ResponseBuilder.js)
+  responses: {
+    format: process.env.RESPONSE_FORMAT || 'json', // Tool result text: 'json' or 'markdown' (per call: `format`)
+    streamlined: process.env.STREAMLINED_RESPONSES !== 'false', // Default for the `streamlined` tool flag
+    tokenBudget: parseInt(process.env.RESPONSE_TOKEN_BUDGET) || 4000, // Per tool response, ~4 chars per token
+    previewLength: 200 // Content preview characters per note in streamlined lists
+  },
+
+  // HTTP client configuration (shared by the MCP handlers and the client)
   http: {
-    timeout: parseInt(process.env.TIMEOUT) || 5000,
-    retries: parseInt(process.env.RETRIES) || 3,
-    retryDelay: parseInt(process.env.RETRY_DELAY) || 1000
+    timeout: parseInt(process.env.TIMEOUT) || 5000, // Per attempt
+    longTimeout: parseInt(process.env.LONG_TIMEOUT) || 120000, // Per attempt for slow jobs (generate_contexts)
+    retries: parseInt(process.env.RETRIES) || 3, // Idempotent requests only
+    retryDelay: parseInt(process.env.RETRY_DELAY) || 1000, // Backoff base, with jitter
+    maxRetryDelay: parseInt(process.env.MAX_RETRY_DELAY) || 10000, // Longer Retry-After fails the call instead
+    circuitBreaker: {
+      threshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5, // Consecutive failures
+      cooldown: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN) || 30000
+    }
   },
 
   // MCP server configuration
   mcp: {
     name: 'knowledge-ai-portable',
     version: '1.0.0',
-    stdio: true // Use stdio transport
+    transport: process.env.MCP_TRANSPORT || 'stdio', // 'stdio' or 'http'
+
+    // Simulate every mutating tool call (dry_run for all; agents can't turn it off)
+    dryRun: process.env.DRY_RUN === 'true',
+
+    // Note changes each session remembers for undo_last_change / revert_change
+    undoHistory: parseInt(process.env.UNDO_HISTORY_SIZE) || 100,
+
+    // Ask the user (MCP elicitation) before deleting notes, links or replacing content
+    confirmDestructive: process.env.CONFIRM_DESTRUCTIVE === 'true',
+    confirmTimeout: parseInt(process.env.CONFIRM_TIMEOUT) || 300000,
+
+    // Network transport (Streamable HTTP with legacy SSE fallback)
+    http: {
+      host: process.env.MCP_HOST || '127.0.0.1',
+      port: parseInt(process.env.MCP_PORT) || 3100,
+      path: '/mcp',
+      ssePath: '/sse',
+      messagesPath: '/messages',
+      // Require every session to send its own API key (Authorization: Bearer)
+      requireAuth: process.env.MCP_REQUIRE_AUTH === 'true',
+      maxBodySize: 4 * 1024 * 1024
+    }
+  },
+
+  // Note versions kept in memory as merge bases for expected_version writes
+  concurrency: {
+    versionsPerNote: parseInt(process.env.NOTE_VERSIONS_PER_NOTE) || 10,
+    maxNotes: parseInt(process.env.NOTE_VERSIONS_MAX_NOTES) || 500
+  },
+
+  // MCP resource templates (knowledge://note|folder|tag/...)
+  resources: {
+    listLimit: 100 // Max notes listed in folder and tag resources
+  },
+
+  // MCP prompt library: notes in this virtual folder are exposed as prompts
+  prompts: {
+    folder: process.env.PROMPTS_FOLDER || 'prompts',
+    limit: 200,
+    inlineReferences: true // Attach ![[embedded]] notes to rendered prompts
+  },
+
+  // Tool access (see utils/AccessControl.js)
+  access: {
+    readOnly: process.env.READ_ONLY === 'true', // Only tools that don't change data
+    allow: (process.env.TOOLS_ALLOW || '').split(',').map(name => name.trim()).filter(Boolean), // Empty = all
+    deny: (process.env.TOOLS_DENY || '').split(',').map(name => name.trim()).filter(Boolean),
+    // Endpoint reporting { role, permissions } for an API key; '' to use the key's role prefix only
+    introspectionPath: process.env.ACCESS_INTROSPECTION_PATH ?? '/api/auth/me',
+    cacheTtl: parseInt(process.env.ACCESS_CACHE_TTL) || 300, // Seconds an introspected profile is reused
+    // Permissions per API key role (role-project-secret); unknown roles are not restricted here
+    roles: {
+      viewer: ['read'],
+      employee: ['read', 'write'],
+      manager: ['read', 'write', 'delete', 'manage'],
+      admin: ['read', 'write', 'delete', 'manage']
+    }
   },
 
   // Logging
@@ -42,4 +145,23 @@ export default {
     level: process.env.LOG_LEVEL || 'info',
     enabled: process.env.LOG_ENABLED !== 'false'
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Config with `overrides` applied section by section: nested objects are
+ * merged (so { mcp: { dryRun: true } } keeps the rest of mcp), any other
+ * value, arrays included, replaces the default
+ */
+export function mergeConfig(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
@@ -1,4 +1,8 @@
-// Using built-in fetch from Node.js 18+
+import { AsyncLocalStorage } from 'async_hooks';
+import HttpClient from '../utils/HttpClient.js';
+
+// Per-request context (API key, project) for multi-tenant sessions
+const requestContext = new AsyncLocalStorage();
 
 /**
  * Base Handler Class
@@ -11,51 +15,106 @@ class BaseHandler {
     this.config = config;
     this.apiUrl = config.apiUrl;
     this.apiKey = config.apiKey;
+    this.http = new HttpClient(config.apiUrl, config.http);
+  }
+
+  /**
+   * Run a function with a request context whose API key overrides the
+   * configured one for every apiRequest made while it runs
+   */
+  static runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+  }
+
+  /**
+   * Resolve the API key for the current request
+   */
+  getApiKey() {
+    const context = requestContext.getStore();
+    return context?.apiKey || this.apiKey;
+  }
+
+  /**
+   * Note versions (merge bases and local history) for the current request:
+   * the session's tenant store, else the handler's own
+   */
+  getVersions() {
+    return requestContext.getStore()?.versions || this.versions;
   }
 
   /**
-   * Make authenticated API request
+   * Make authenticated API request.
+   * Accepts HttpClient options (timeout, retries, idempotent) besides fetch options.
    */
   async apiRequest(endpoint, options = {}) {
-    const url = `${this.apiUrl}${endpoint}`;
-    const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers
-    };
+    const headers = { ...options.headers };
 
-    if (this.apiKey) {
-      headers['X-API-Key'] = this.apiKey;
+    const apiKey = this.getApiKey();
+    if (apiKey) {
+      headers['X-API-Key'] = apiKey;
     }
 
-    const fetchOptions = {
-      method: 'GET',
-      headers,
-      ...options
-    };
+    const response = await this.http.request(endpoint, { ...options, headers });
 
-    if (options.body && typeof options.body === 'object') {
-      fetchOptions.body = JSON.stringify(options.body);
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      return await response.json();
+    } else {
+      return await response.text();
     }
+  }
+
+  /**
+   * Whether a mutating tool call should only be simulated
+   * (server-wide DRY_RUN cannot be overridden per call)
+   */
+  isDryRun(params) {
+    return this.config.mcp?.dryRun === true || params.dry_run === true;
+  }
 
+  /**
+   * Format a dry-run result: the request (or requests, in order) that would
+   * be sent and its predicted effect
+   */
+  formatDryRun(request, effect, message) {
+    return {
+      success: true,
+      dry_run: true,
+      data: { request, effect },
+      message: `Dry run - nothing was changed. ${message}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Fetch a note by stable ID or content hash
+   */
+  async fetchNote(projectId, id) {
+    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(id)}`);
+    const result = await this.apiRequest(endpoint);
+    return result.data;
+  }
+
+  /**
+   * Fetch a note's links and backlinks, or null when unavailable
+   */
+  async fetchConnections(projectId, id) {
     try {
-      const response = await fetch(url, fetchOptions);
-      
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`API request failed (${response.status}): ${error}`);
-      }
-
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        return await response.json();
-      } else {
-        return await response.text();
-      }
+      const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(id)}/connections`);
+      const result = await this.apiRequest(endpoint);
+      return result.data || null;
     } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error(`Failed to connect to API at ${this.apiUrl}. Please ensure the server is running.`);
-      }
-      throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Ask for confirmation before a destructive action when the tool context
+   * supports it; throws if the user declines
+   */
+  async confirmAction(context, message) {
+    if (context?.confirm && !(await context.confirm(message))) {
+      throw new Error(`Cancelled: not confirmed by the user (${message.split('\n')[0]})`);
     }
   }
 
@@ -89,6 +148,7 @@ class BaseHandler {
       success: false,
       error: error.message || error,
       tool,
+      ...(error.conflict && { conflict: error.conflict }),
       timestamp: new Date().toISOString()
     };
   }
@@ -0,0 +1,416 @@
+import BaseHandler from './BaseHandler.js';
+import BulkNotes from '../utils/BulkNotes.js';
+import NoteVersions from '../utils/NoteVersions.js';
+
+// Notes listed by title in a bulk delete confirmation
+const MAX_CONFIRM_TITLES = 10;
+
+/**
+ * Bulk Handler
+ *
+ * Implements MCP tools that create, retag, move or delete many notes in
+ * one call. Targets are a list of IDs or a list_notes filter; requests run
+ * with bounded concurrency and every note gets its own result, so one
+ * failure doesn't stop the rest. Each write is recorded in the session's
+ * undo history like a single-note change.
+ */
+class BulkHandler extends BaseHandler {
+  constructor(config, { versions = null } = {}) {
+    super(config);
+    this.versions = versions || new NoteVersions(config.concurrency);
+    this.bulk = new BulkNotes({
+      ...config.bulk,
+      request: async (projectId, path) => (await this.apiRequest(this.getProjectEndpoint(projectId, path))).data
+    });
+    this.tools = [
+      'bulk_create_notes',
+      'bulk_update_metadata',
+      'bulk_move_to_folder',
+      'bulk_delete'
+    ];
+  }
+
+  canHandleTool(toolName) {
+    return this.tools.includes(toolName);
+  }
+
+  getTools() {
+    const ids = {
+      type: 'array',
+      items: { type: ['number', 'string'] },
+      description: 'Note IDs to change (or use filter)',
+      minItems: 1
+    };
+    const filter = {
+      type: 'object',
+      description: 'Select notes like list_notes instead of listing ids; at least one field is required',
+      properties: {
+        virtual_folder: {
+          type: 'string',
+          description: 'Notes in this virtual folder'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Notes with these tags'
+        },
+        created_by: {
+          type: 'string',
+          description: 'Notes created by this author'
+        }
+      }
+    };
+    const concurrency = {
+      type: 'number',
+      description: 'Requests run in parallel (default: 4)',
+      minimum: 1,
+      maximum: 10
+    };
+    const projectId = {
+      type: 'string',
+      description: 'Project ID (defaults to current project)'
+    };
+    const changedBy = {
+      type: 'string',
+      description: 'Change author identifier (defaults to "mcp")'
+    };
+    const dryRun = {
+      type: 'boolean',
+      description: 'Return the requests that would be sent and their predicted effect without changing anything (default: false)'
+    };
+
+    return [
+      {
+        name: 'bulk_create_notes',
+        description: 'Create many notes in one call; each note is reported as created or failed',
+        annotations: {
+          title: 'Bulk Create Notes',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            notes: {
+              type: 'array',
+              description: 'Notes to create',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  title: {
+                    type: 'string',
+                    description: 'Note title',
+                    minLength: 1,
+                    maxLength: 500
+                  },
+                  content: {
+                    type: 'string',
+                    description: 'Note content (markdown)'
+                  },
+                  tags: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Tags for the note'
+                  },
+                  virtual_folder: {
+                    type: 'string',
+                    description: 'Virtual folder path'
+                  }
+                },
+                required: ['title', 'content']
+              }
+            },
+            created_by: {
+              type: 'string',
+              description: 'Creator identifier (defaults to "mcp")'
+            },
+            concurrency,
+            projectId,
+            dry_run: dryRun
+          },
+          required: ['notes']
+        }
+      },
+      {
+        name: 'bulk_update_metadata',
+        description: 'Change tags or the virtual folder of many notes, selected by IDs or a filter',
+        annotations: {
+          title: 'Bulk Update Note Metadata',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ids,
+            filter,
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Replace each note\'s tags with these'
+            },
+            add_tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tags to add to each note'
+            },
+            remove_tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tags to remove from each note'
+            },
+            virtual_folder: {
+              type: 'string',
+              description: 'Move each note to this virtual folder'
+            },
+            changed_by: changedBy,
+            concurrency,
+            projectId,
+            dry_run: dryRun
+          }
+        }
+      },
+      {
+        name: 'bulk_move_to_folder',
+        description: 'Move many notes, selected by IDs or a filter, to a virtual folder',
+        annotations: {
+          title: 'Bulk Move to Folder',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ids,
+            filter,
+            folder: {
+              type: 'string',
+              description: 'Target virtual folder path ("" for the root)'
+            },
+            changed_by: changedBy,
+            concurrency,
+            projectId,
+            dry_run: dryRun
+          },
+          required: ['folder']
+        }
+      },
+      {
+        name: 'bulk_delete',
+        description: 'Delete many notes, selected by IDs or a filter, and clean up their embeddings',
+        annotations: {
+          title: 'Bulk Delete Notes',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ids,
+            filter,
+            deleted_by: {
+              type: 'string',
+              description: 'Deleter identifier (defaults to "mcp")'
+            },
+            concurrency,
+            projectId,
+            dry_run: dryRun
+          }
+        }
+      }
+    ];
+  }
+
+  async handleTool(toolName, params, context) {
+    const projectId = params.projectId || context.currentProject;
+
+    try {
+      switch (toolName) {
+        case 'bulk_create_notes':
+          return await this.bulkCreateNotes(projectId, params, context);
+
+        case 'bulk_update_metadata':
+          return await this.bulkUpdateMetadata(projectId, toolName, params, context, {
+            tags: params.tags,
+            add_tags: params.add_tags,
+            remove_tags: params.remove_tags,
+            virtual_folder: params.virtual_folder
+          });
+
+        case 'bulk_move_to_folder':
+          this.validateParams(params, ['folder']);
+          return await this.bulkUpdateMetadata(projectId, toolName, params, context, { virtual_folder: params.folder });
+
+        case 'bulk_delete':
+          return await this.bulkDelete(projectId, params, context);
+
+        default:
+          throw new Error(`Unknown tool: ${toolName}`);
+      }
+    } catch (error) {
+      return this.formatError(error, toolName);
+    }
+  }
+
+  async bulkCreateNotes(projectId, params, context) {
+    this.validateParams(params, ['notes']);
+    this.bulk.checkSize(params.notes.length, 'notes');
+
+    const endpoint = this.getProjectEndpoint(projectId, '/notes');
+    const requests = params.notes.map(note => ({
+      method: 'POST',
+      endpoint,
+      body: {
+        title: note.title,
+        content: note.content,
+        tags: note.tags || [],
+        virtual_folder: note.virtual_folder || '',
+        project_id: projectId,
+        created_by: params.created_by || 'mcp'
+      }
+    }));
+
+    if (this.isDryRun(params)) {
+      const creates = requests.map(({ body }) => ({
+        title: body.title,
+        tags: body.tags,
+        virtual_folder: body.virtual_folder,
+        content_length: (body.content ?? '').length
+      }));
+      return this.formatDryRun(requests, { creates }, `Would create ${this.count(requests.length)}`);
+    }
+
+    const outcomes = await this.bulk.run(requests, async request => {
+      const result = await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+      if (result.data?.id !== undefined) {
+        context?.changes?.record({ tool: 'bulk_create_notes', action: 'create', projectId, noteId: result.data.id, after: result.data });
+      }
+      this.getVersions().remember(projectId, result.data, { changedBy: request.body.created_by });
+      return result.data;
+    }, { concurrency: params.concurrency });
+
+    const results = outcomes.map((outcome, index) => outcome.status === 'fulfilled'
+      ? { index, id: outcome.value?.id ?? null, title: requests[index].body.title, status: 'created' }
+      : { index, title: requests[index].body.title, status: 'failed', error: outcome.reason.message });
+
+    return this.formatResults(results, 'Created');
+  }
+
+  /**
+   * bulk_update_metadata and bulk_move_to_folder: PUT the changed fields of each note
+   */
+  async bulkUpdateMetadata(projectId, toolName, params, context, changes) {
+    if (Object.values(changes).every(value => value === undefined)) {
+      throw new Error('No updates specified. Provide tags, add_tags, remove_tags or virtual_folder.');
+    }
+
+    const { notes, missing } = await this.bulk.resolveTargets(projectId, { ids: params.ids, filter: params.filter });
+    const changedBy = params.changed_by || 'mcp';
+    const planned = notes.map(note => ({ note, plan: this.bulk.planMetadata(note, changes) }));
+    const updates = planned.filter(({ plan }) => plan !== null);
+    const requests = updates.map(({ note, plan }) => ({
+      method: 'PUT',
+      endpoint: this.noteEndpoint(projectId, note.id),
+      body: { ...plan.body, changed_by: changedBy }
+    }));
+
+    if (this.isDryRun(params)) {
+      const effect = {
+        updates: updates.map(({ note, plan }) => ({ id: note.id, title: note.title, changes: plan.changes })),
+        unchanged: planned.length - updates.length,
+        ...(missing.length > 0 && { missing })
+      };
+      return this.formatDryRun(requests, effect, `Would update ${this.count(updates.length)} (${effect.unchanged} already match)`);
+    }
+
+    const outcomes = await this.bulk.run(requests, async (request, index) => {
+      const { note } = updates[index];
+      const result = await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+      context?.changes?.record({ tool: toolName, action: 'update', projectId, noteId: note.id, before: note });
+      this.getVersions().remember(projectId, result.data, { changedBy });
+      return result.data;
+    }, { concurrency: params.concurrency });
+
+    const results = [
+      ...updates.map(({ note, plan }, index) => outcomes[index].status === 'fulfilled'
+        ? { id: note.id, title: note.title, status: 'updated', changes: plan.changes }
+        : { id: note.id, title: note.title, status: 'failed', error: outcomes[index].reason.message }),
+      ...planned.filter(({ plan }) => plan === null).map(({ note }) => ({ id: note.id, title: note.title, status: 'unchanged' })),
+      ...missing.map(({ id, error }) => ({ id, status: 'failed', error }))
+    ];
+
+    return this.formatResults(results, 'Updated');
+  }
+
+  async bulkDelete(projectId, params, context) {
+    const { notes, missing } = await this.bulk.resolveTargets(projectId, { ids: params.ids, filter: params.filter });
+    const deleteData = { deleted_by: params.deleted_by || 'mcp' };
+    const requests = notes.map(note => ({ method: 'DELETE', endpoint: this.noteEndpoint(projectId, note.id), body: deleteData }));
+
+    if (this.isDryRun(params)) {
+      const effect = {
+        deletes: notes.map(note => ({ id: note.id, title: note.title ?? null })),
+        ...(missing.length > 0 && { missing })
+      };
+      return this.formatDryRun(requests, effect, `Would delete ${this.count(notes.length)}`);
+    }
+
+    if (notes.length > 0) {
+      const listed = notes.slice(0, MAX_CONFIRM_TITLES).map(note => `- ${note.title ?? 'Untitled'} (ID: ${note.id})`);
+      if (notes.length > MAX_CONFIRM_TITLES) listed.push(`- ... and ${notes.length - MAX_CONFIRM_TITLES} more`);
+      await this.confirmAction(context, `Delete ${this.count(notes.length)}?\n\n${listed.join('\n')}`);
+    }
+
+    const outcomes = await this.bulk.run(requests, async (request, index) => {
+      const note = notes[index];
+      // Listings may leave out content; undo needs it to recreate the note
+      const before = context?.changes && typeof note.content !== 'string' ? await this.fetchNote(projectId, note.id) : note;
+      await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+      context?.changes?.record({ tool: 'bulk_delete', action: 'delete', projectId, noteId: note.id, before });
+    }, { concurrency: params.concurrency });
+
+    const results = [
+      ...notes.map((note, index) => outcomes[index].status === 'fulfilled'
+        ? { id: note.id, title: note.title ?? null, status: 'deleted' }
+        : { id: note.id, title: note.title ?? null, status: 'failed', error: outcomes[index].reason.message }),
+      ...missing.map(({ id, error }) => ({ id, status: 'failed', error }))
+    ];
+
+    return this.formatResults(results, 'Deleted');
+  }
+
+  /**
+   * Per-note results with a summary: "Updated 12 of 14 notes (1 unchanged, 1 failed)"
+   */
+  formatResults(results, verb) {
+    const summary = this.bulk.summarize(results);
+    const done = results.length - (summary.failed || 0) - (summary.unchanged || 0);
+    const others = ['unchanged', 'failed']
+      .filter(status => summary[status])
+      .map(status => `${summary[status]} ${status}`);
+
+    return this.formatSuccess(
+      { results, summary },
+      `${verb} ${done} of ${this.count(results.length)}${others.length > 0 ? ` (${others.join(', ')})` : ''}`
+    );
+  }
+
+  count(n) {
+    return `${n} note${n === 1 ? '' : 's'}`;
+  }
+
+  noteEndpoint(projectId, id) {
+    return this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(id)}`);
+  }
+}
+
+export default BulkHandler;
@@ -0,0 +1,316 @@
+import BaseHandler from './BaseHandler.js';
+import { NotFoundError } from '../utils/errors.js';
+import { diffLines } from '../utils/diff.js';
+
+const METADATA_FIELDS = ['title', 'tags', 'virtual_folder'];
+
+/**
+ * Change Handler
+ *
+ * Implements MCP tools for the session's undo history: listing the note
+ * changes made through this server and reverting them. Reverts go through
+ * the regular notes API and are not recorded themselves.
+ */
+class ChangeHandler extends BaseHandler {
+  constructor(config) {
+    super(config);
+    this.tools = [
+      'list_session_changes',
+      'undo_last_change',
+      'revert_change'
+    ];
+  }
+
+  canHandleTool(toolName) {
+    return this.tools.includes(toolName);
+  }
+
+  getTools() {
+    const dryRun = {
+      type: 'boolean',
+      description: 'Return the requests that would be sent and their predicted effect without changing anything (default: false)'
+    };
+
+    return [
+      {
+        name: 'list_session_changes',
+        description: 'List the note changes (create, update, delete) made in this session, newest first',
+        annotations: {
+          title: 'List Session Changes',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_reverted: {
+              type: 'boolean',
+              description: 'Include changes that were already reverted (default: true)',
+              default: true
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of changes to return (default: 20)',
+              minimum: 1,
+              maximum: 100,
+              default: 20
+            }
+          }
+        }
+      },
+      {
+        name: 'undo_last_change',
+        description: 'Revert the most recent note change made in this session that has not been reverted yet',
+        annotations: {
+          title: 'Undo Last Change',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            dry_run: dryRun
+          }
+        }
+      },
+      {
+        name: 'revert_change',
+        description: 'Revert a specific note change from this session by its change ID (see list_session_changes)',
+        annotations: {
+          title: 'Revert Change',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_id: {
+              type: 'number',
+              description: 'Change ID from list_session_changes',
+              minimum: 1
+            },
+            force: {
+              type: 'boolean',
+              description: 'Revert even if later changes in this session touched the same note; they are overwritten (default: false)'
+            },
+            dry_run: dryRun
+          },
+          required: ['change_id']
+        }
+      }
+    ];
+  }
+
+  async handleTool(toolName, params, context) {
+    try {
+      if (!context?.changes) {
+        throw new Error('This session does not keep a change history');
+      }
+
+      switch (toolName) {
+        case 'list_session_changes':
+          return this.listSessionChanges(params, context);
+
+        case 'undo_last_change':
+          return await this.undoLastChange(params, context);
+
+        case 'revert_change':
+          return await this.revertChange(params, context);
+
+        default:
+          throw new Error(`Unknown tool: ${toolName}`);
+      }
+    } catch (error) {
+      return this.formatError(error, toolName);
+    }
+  }
+
+  listSessionChanges(params, context) {
+    const changes = context.changes.list({ includeReverted: params.include_reverted !== false });
+    const limit = params.limit || 20;
+
+    return this.formatSuccess(
+      {
+        changes: changes.slice(0, limit).map(entry => context.changes.describe(entry)),
+        total: changes.length
+      },
+      `Found ${changes.length} change${changes.length === 1 ? '' : 's'} in this session`
+    );
+  }
+
+  async undoLastChange(params, context) {
+    const entry = context.changes.last();
+    if (!entry) {
+      throw new Error('Nothing to undo: no unreverted changes in this session');
+    }
+    return this.revert(entry, params, context);
+  }
+
+  async revertChange(params, context) {
+    this.validateParams(params, ['change_id']);
+
+    const entry = context.changes.get(params.change_id);
+    if (!entry) {
+      throw new NotFoundError(`Change #${params.change_id} not found in this session`);
+    }
+    if (entry.reverted) {
+      throw new Error(`Change #${entry.id} was already reverted at ${entry.reverted_at}`);
+    }
+
+    const later = context.changes.laterChanges(entry);
+    if (later.length > 0 && !params.force) {
+      const ids = later.map(other => `#${other.id}`).join(', ');
+      throw new Error(`Change #${entry.id} can't be reverted safely: ${ids} changed note ${entry.note_id} afterwards. Revert those first, or pass force: true.`);
+    }
+
+    return this.revert(entry, params, context);
+  }
+
+  /**
+   * Restore the state before a change. The revert needs the permission of
+   * the request it sends: delete for a create, write otherwise.
+   */
+  async revert(entry, params, context) {
+    const permission = entry.action === 'create' ? 'delete' : 'write';
+    await context.authorize?.(permission, `revert change #${entry.id} (${entry.action})`);
+
+    switch (entry.action) {
+      case 'create':
+        return this.revertCreate(entry, params, context);
+      case 'update':
+        return this.revertUpdate(entry, params, context);
+      case 'delete':
+        return this.revertDelete(entry, params, context);
+      default:
+        throw new Error(`Change #${entry.id} (${entry.action}) can't be reverted`);
+    }
+  }
+
+  async revertCreate(entry, params, context) {
+    const title = entry.after?.title ?? entry.note_id;
+    const request = {
+      method: 'DELETE',
+      endpoint: this.noteEndpoint(entry),
+      body: { deleted_by: 'mcp-undo' }
+    };
+
+    if (this.isDryRun(params)) {
+      return this.formatDryRun(request, { deletes: entry.after }, `Would delete note "${title}" created by change #${entry.id}`);
+    }
+
+    await this.confirmAction(context, `Undo change #${entry.id}: delete note "${title}" created in this session?`);
+    await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+    context.changes.markReverted(entry);
+
+    return this.formatSuccess(
+      { change: context.changes.describe(entry) },
+      `Reverted change #${entry.id}: deleted note "${title}"`
+    );
+  }
+
+  async revertUpdate(entry, params, context) {
+    const { before } = entry;
+    const current = await this.fetchNote(entry.project_id, entry.note_id);
+    if (!current) {
+      throw new NotFoundError(`Note ${entry.note_id} no longer exists`);
+    }
+
+    const requests = [];
+    const effect = {};
+
+    const content = before.content ?? current.content;
+    if (content !== current.content) {
+      requests.push({
+        method: 'PATCH',
+        endpoint: this.noteEndpoint(entry),
+        body: { old_str: current.content, new_str: content, changed_by: 'mcp-undo' }
+      });
+      Object.assign(effect, diffLines(current.content || '', content || ''));
+    }
+
+    const metadata = {};
+    for (const field of METADATA_FIELDS) {
+      if (before[field] !== undefined && JSON.stringify(before[field]) !== JSON.stringify(current[field])) {
+        metadata[field] = before[field];
+        effect.changes = { ...effect.changes, [field]: { from: current[field] ?? null, to: before[field] } };
+      }
+    }
+    if (Object.keys(metadata).length > 0) {
+      requests.push({
+        method: 'PUT',
+        endpoint: this.noteEndpoint(entry),
+        body: { ...metadata, changed_by: 'mcp-undo' }
+      });
+    }
+
+    const title = before.title ?? entry.note_id;
+    if (requests.length === 0) {
+      if (!this.isDryRun(params)) context.changes.markReverted(entry);
+      return this.formatSuccess(
+        { change: context.changes.describe(entry) },
+        `Note "${title}" already matches its state before change #${entry.id}; nothing to revert`
+      );
+    }
+
+    if (this.isDryRun(params)) {
+      return this.formatDryRun(requests.length === 1 ? requests[0] : requests, effect, `Would restore note "${title}" to its state before change #${entry.id}`);
+    }
+
+    const summary = effect.diff !== undefined ? `\n\n+${effect.added} -${effect.removed} lines` : '';
+    await this.confirmAction(context, `Undo change #${entry.id}: restore note "${title}" to its earlier state?${summary}`);
+
+    let result;
+    for (const request of requests) {
+      result = await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+    }
+    context.changes.markReverted(entry);
+
+    return this.formatSuccess(
+      { change: context.changes.describe(entry), note: result?.data ?? null },
+      `Reverted change #${entry.id}: restored note "${title}"`
+    );
+  }
+
+  async revertDelete(entry, params, context) {
+    const { before } = entry;
+    const request = {
+      method: 'POST',
+      endpoint: this.getProjectEndpoint(entry.project_id, '/notes'),
+      body: {
+        title: before.title,
+        content: before.content ?? '',
+        tags: before.tags || [],
+        virtual_folder: before.virtual_folder || '',
+        project_id: entry.project_id,
+        created_by: 'mcp-undo'
+      }
+    };
+
+    if (this.isDryRun(params)) {
+      const effect = { recreates: { title: before.title, content_length: request.body.content.length }, previous_id: entry.note_id };
+      return this.formatDryRun(request, effect, `Would recreate note "${before.title}" deleted by change #${entry.id}`);
+    }
+
+    const result = await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+    const restoredId = result.data?.id ?? null;
+    context.changes.markReverted(entry, { restored_id: restoredId });
+    if (restoredId !== null) {
+      context.changes.moveNote(entry.project_id, entry.note_id, restoredId);
+    }
+
+    return this.formatSuccess(
+      { change: context.changes.describe(entry), note: result.data ?? null },
+      `Reverted change #${entry.id}: recreated note "${before.title}"${restoredId !== null ? ` with new ID ${restoredId}` : ''}`
+    );
+  }
+
+  noteEndpoint(entry) {
+    return this.getProjectEndpoint(entry.project_id, `/notes/${encodeURIComponent(entry.note_id)}`);
+  }
+}
+
+export default ChangeHandler;
@@ -28,6 +28,13 @@ class CrossReferenceHandler extends BaseHandler {
       {
         name: 'add_wikilink',
         description: 'Add a wikilink between two notes, creating bidirectional or unidirectional connections',
+        annotations: {
+          title: 'Add Wikilink',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -51,6 +58,10 @@ class CrossReferenceHandler extends BaseHandler {
             projectId: {
               type: 'string',
               description: 'Project ID (defaults to current project)'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
             }
           },
           required: ['noteId', 'targetNoteId']
@@ -59,6 +70,13 @@ class CrossReferenceHandler extends BaseHandler {
       {
         name: 'remove_wikilink',
         description: 'Remove a wikilink connection between two notes',
+        annotations: {
+          title: 'Remove Wikilink',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -73,6 +91,10 @@ class CrossReferenceHandler extends BaseHandler {
             projectId: {
               type: 'string',
               description: 'Project ID (defaults to current project)'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
             }
           },
           required: ['noteId', 'targetNoteId']
@@ -81,6 +103,11 @@ class CrossReferenceHandler extends BaseHandler {
       {
         name: 'get_note_connections',
         description: 'Get all connections (forward links, backlinks, and related notes) for a specific note',
+        annotations: {
+          title: 'Note Connections',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -111,6 +138,11 @@ class CrossReferenceHandler extends BaseHandler {
       {
         name: 'suggest_connections',
         description: 'Get intelligent connection suggestions for a note based on content similarity and relationships',
+        annotations: {
+          title: 'Suggest Connections',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -141,6 +173,11 @@ class CrossReferenceHandler extends BaseHandler {
       {
         name: 'validate_note_links',
         description: 'Validate all wikilinks in a specific note and get detailed link health information',
+        annotations: {
+          title: 'Validate Note Links',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -159,6 +196,11 @@ class CrossReferenceHandler extends BaseHandler {
       {
         name: 'get_knowledge_base_health',
         description: 'Get comprehensive link health overview for the entire knowledge base',
+        annotations: {
+          title: 'Knowledge Base Health',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -178,10 +220,10 @@ class CrossReferenceHandler extends BaseHandler {
     try {
       switch (toolName) {
         case 'add_wikilink':
-          return await this.addWikilink(projectId, params);
+          return await this.addWikilink(projectId, params, context);
         
         case 'remove_wikilink':
-          return await this.removeWikilink(projectId, params);
+          return await this.removeWikilink(projectId, params, context);
         
         case 'get_note_connections':
           return await this.getNoteConnections(projectId, params);
@@ -203,7 +245,7 @@ class CrossReferenceHandler extends BaseHandler {
     }
   }
 
-  async addWikilink(projectId, params) {
+  async addWikilink(projectId, params, context) {
     this.validateParams(params, ['noteId', 'targetNoteId']);
     
     const requestData = {
@@ -216,10 +258,27 @@ class CrossReferenceHandler extends BaseHandler {
     }
 
     const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(params.noteId)}/links`);
+
+    if (this.isDryRun(params)) {
+      const connections = await this.fetchConnections(projectId, params.noteId);
+      const alreadyLinked = connections ? this.linksTo(connections.forwardLinks, params.targetNoteId) : null;
+      const effect = {
+        links_added: alreadyLinked ? 0 : (requestData.bidirectional ? 2 : 1),
+        already_linked: alreadyLinked,
+        forward_links: connections?.forwardLinks?.length ?? null
+      };
+      const message = alreadyLinked
+        ? `Note ${params.noteId} already links to note ${params.targetNoteId}`
+        : `Would add ${effect.links_added} link${effect.links_added === 1 ? '' : 's'} between notes ${params.noteId} and ${params.targetNoteId}`;
+      return this.formatDryRun({ method: 'POST', endpoint, body: requestData }, effect, message);
+    }
+
+    const before = await this.snapshotLinkedNotes(projectId, params, context, requestData.bidirectional);
     const result = await this.apiRequest(endpoint, {
       method: 'POST',
       body: requestData
     });
+    await this.recordLinkChange(projectId, 'add_wikilink', context, before);
     
     const connectionType = params.bidirectional !== false ? 'bidirectional' : 'unidirectional';
     return this.formatSuccess(
@@ -228,16 +287,35 @@ class CrossReferenceHandler extends BaseHandler {
     );
   }
 
-  async removeWikilink(projectId, params) {
+  async removeWikilink(projectId, params, context) {
     this.validateParams(params, ['noteId', 'targetNoteId']);
     
     const endpoint = this.getProjectEndpoint(
       projectId, 
       `/notes/${encodeURIComponent(params.noteId)}/links/${encodeURIComponent(params.targetNoteId)}`
     );
+
+    if (this.isDryRun(params)) {
+      const connections = await this.fetchConnections(projectId, params.noteId);
+      const effect = connections
+        ? {
+          links_removed: [connections.forwardLinks, connections.backlinks]
+            .filter(links => this.linksTo(links, params.targetNoteId)).length
+        }
+        : { links_removed: null };
+      const message = effect.links_removed === 0
+        ? `Notes ${params.noteId} and ${params.targetNoteId} are not linked; nothing would be removed`
+        : `Would remove the wikilink between notes ${params.noteId} and ${params.targetNoteId}`;
+      return this.formatDryRun({ method: 'DELETE', endpoint }, effect, message);
+    }
+
+    await this.confirmAction(context, `Remove the wikilink from note ${params.noteId} to note ${params.targetNoteId}?`);
+
+    const before = await this.snapshotLinkedNotes(projectId, params, context, true);
     const result = await this.apiRequest(endpoint, {
       method: 'DELETE'
     });
+    await this.recordLinkChange(projectId, 'remove_wikilink', context, before);
     
     return this.formatSuccess(
       result.data, 
@@ -245,6 +323,37 @@ class CrossReferenceHandler extends BaseHandler {
     );
   }
 
+  /**
+   * Notes a link change may rewrite, as they are before it (for undo).
+   * Empty when the session keeps no change history.
+   */
+  async snapshotLinkedNotes(projectId, params, context, bothSides) {
+    if (!context?.changes) return [];
+    const ids = bothSides ? [params.noteId, params.targetNoteId] : [params.noteId];
+    return Promise.all(ids.map(id => this.fetchNote(projectId, id)));
+  }
+
+  /**
+   * Record an update for each snapshotted note whose content the link
+   * change rewrote, so undo_last_change restores it
+   */
+  async recordLinkChange(projectId, tool, context, before) {
+    for (const note of before) {
+      const after = await this.fetchNote(projectId, note.id).catch(() => null);
+      if (after && after.content === note.content) continue;
+      context.changes.record({ tool, action: 'update', projectId, noteId: note.id, before: note, after });
+    }
+  }
+
+  /**
+   * Whether a list of linked notes includes a note (by stable ID or content hash)
+   */
+  linksTo(links, noteId) {
+    return (links || []).some(link =>
+      [link.id, link.note_id, link.content_hash].some(id => id !== undefined && String(id) === String(noteId))
+    );
+  }
+
   async getNoteConnections(projectId, params) {
     this.validateParams(params, ['noteId']);
     
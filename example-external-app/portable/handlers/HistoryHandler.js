@@ -0,0 +1,186 @@
+import BaseHandler from './BaseHandler.js';
+import NoteHistory from '../utils/NoteHistory.js';
+import NoteVersions from '../utils/NoteVersions.js';
+
+/**
+ * History Handler
+ *
+ * Implements MCP tools for a note's revision history: listing revisions
+ * with who changed them, reading one revision and diffing two. Uses the
+ * API's revisions when it keeps them, else the versions this server has
+ * seen for the session's API key (shared with NoteHandler).
+ */
+class HistoryHandler extends BaseHandler {
+  constructor(config, { versions = null } = {}) {
+    super(config);
+    this.versions = versions || new NoteVersions(config.concurrency);
+    this.tools = [
+      'get_note_history',
+      'get_note_revision',
+      'diff_note_revisions'
+    ];
+  }
+
+  canHandleTool(toolName) {
+    return this.tools.includes(toolName);
+  }
+
+  getTools() {
+    const id = {
+      type: ['number', 'string'],
+      description: 'Note stable ID or content hash'
+    };
+    const projectId = {
+      type: 'string',
+      description: 'Project ID (defaults to current project)'
+    };
+    const annotations = title => ({
+      title,
+      readOnlyHint: true,
+      openWorldHint: false
+    });
+
+    return [
+      {
+        name: 'get_note_history',
+        description: 'List earlier revisions of a note, newest first, with who changed it and when',
+        annotations: annotations('Note History'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id,
+            limit: {
+              type: 'number',
+              description: 'Maximum number of revisions to return (default: 20)',
+              minimum: 1,
+              maximum: 100,
+              default: 20
+            },
+            projectId
+          },
+          required: ['id']
+        }
+      },
+      {
+        name: 'get_note_revision',
+        description: 'Get the content of a note at one revision (from get_note_history)',
+        annotations: annotations('Note Revision'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id,
+            revision: {
+              type: ['number', 'string'],
+              description: 'Revision ID or version from get_note_history, or "current"'
+            },
+            projectId
+          },
+          required: ['id', 'revision']
+        }
+      },
+      {
+        name: 'diff_note_revisions',
+        description: 'Show what changed in a note between two revisions, as a unified (line) or word-level diff',
+        annotations: annotations('Diff Note Revisions'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id,
+            from: {
+              type: ['number', 'string'],
+              description: 'Older revision ID or version (from get_note_history)'
+            },
+            to: {
+              type: ['number', 'string'],
+              description: 'Newer revision ID or version (default: "current", the note as it is now)',
+              default: 'current'
+            },
+            format: {
+              type: 'string',
+              enum: ['unified', 'words'],
+              description: 'unified: changed lines with context; words: the text with [-removed-]{+added+} markers (default: unified)',
+              default: 'unified'
+            },
+            context: {
+              type: 'number',
+              description: 'Unchanged lines (unified) or words (words) shown around each change (default: 3 lines / 8 words)',
+              minimum: 0,
+              maximum: 50
+            },
+            projectId
+          },
+          required: ['id', 'from']
+        }
+      }
+    ];
+  }
+
+  async handleTool(toolName, params, context) {
+    const projectId = params.projectId || context.currentProject;
+
+    try {
+      switch (toolName) {
+        case 'get_note_history':
+          return await this.getNoteHistory(projectId, params);
+
+        case 'get_note_revision':
+          return await this.getNoteRevision(projectId, params);
+
+        case 'diff_note_revisions':
+          return await this.diffNoteRevisions(projectId, params);
+
+        default:
+          throw new Error(`Unknown tool: ${toolName}`);
+      }
+    } catch (error) {
+      return this.formatError(error, toolName);
+    }
+  }
+
+  async getNoteHistory(projectId, params) {
+    this.validateParams(params, ['id']);
+
+    const history = await this.noteHistory().list(projectId, params.id, { limit: params.limit || 20 });
+    const source = history.source === 'local' ? ' (seen by this server; the API keeps no revisions)' : '';
+    return this.formatSuccess(
+      history,
+      `Found ${history.total} revision${history.total === 1 ? '' : 's'} of note ${params.id}${source}`
+    );
+  }
+
+  async getNoteRevision(projectId, params) {
+    this.validateParams(params, ['id', 'revision']);
+
+    const revision = await this.noteHistory().revision(projectId, params.id, params.revision);
+    return this.formatSuccess(revision, `Revision ${revision.revision} of note ${params.id}`);
+  }
+
+  async diffNoteRevisions(projectId, params) {
+    this.validateParams(params, ['id', 'from']);
+
+    const format = params.format || 'unified';
+    const result = await this.noteHistory().diff(projectId, params.id, params.from, params.to ?? 'current', {
+      format,
+      context: params.context
+    });
+    const unit = format === 'words' ? 'words' : 'lines';
+    return this.formatSuccess(
+      result,
+      result.diff === ''
+        ? `No differences in note ${params.id} between ${result.from.revision} and ${result.to.revision}`
+        : `Note ${params.id} from ${result.from.revision} to ${result.to.revision}: +${result.added} -${result.removed} ${unit}`
+    );
+  }
+
+  /**
+   * Note history over the current session's note versions
+   */
+  noteHistory() {
+    return new NoteHistory({
+      versions: this.getVersions(),
+      request: async (projectId, path) => (await this.apiRequest(this.getProjectEndpoint(projectId, path))).data
+    });
+  }
+}
+
+export default HistoryHandler;
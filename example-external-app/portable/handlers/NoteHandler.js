@@ -1,5 +1,16 @@
 import BaseHandler from './BaseHandler.js';
 import ResponseBuilder from '../utils/ResponseBuilder.js';
+import { diffLines, splitLines } from '../utils/diff.js';
+import {
+  parseOutline,
+  findSection,
+  readSection,
+  replaceSection,
+  appendToSection,
+  insertAfterHeading
+} from '../utils/markdownSections.js';
+import NoteVersions, { noteVersion, withVersion, rebaseOrConflict } from '../utils/NoteVersions.js';
+import BulkNotes from '../utils/BulkNotes.js';
 
 /**
  * Note Handler
@@ -8,9 +19,14 @@ import ResponseBuilder from '../utils/ResponseBuilder.js';
  * Supports the dual ID system and integrates with the enhanced notes service.
  */
 class NoteHandler extends BaseHandler {
-  constructor(config) {
+  constructor(config, { versions = null } = {}) {
     super(config);
-    this.responseBuilder = new ResponseBuilder();
+    this.responseBuilder = new ResponseBuilder(config.responses);
+    this.versions = versions || new NoteVersions(config.concurrency); // Outside a session; sessions bring their own
+    this.bulk = new BulkNotes({
+      ...config.bulk,
+      request: async (projectId, path) => (await this.apiRequest(this.getProjectEndpoint(projectId, path))).data
+    });
     this.tools = [
       'list_notes',
       'get_note',
@@ -23,7 +39,15 @@ class NoteHandler extends BaseHandler {
       'inspect_content',
       'preview_update',
       'validate_update',
-      'suggest_patterns'
+      'suggest_patterns',
+      // Section-aware editing by markdown heading
+      'get_note_outline',
+      'read_section',
+      'replace_section',
+      'append_to_section',
+      'insert_after_heading',
+      // Project-wide find and replace
+      'find_replace'
     ];
   }
 
@@ -36,6 +60,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'list_notes',
         description: 'List notes in the current project with optional filtering and pagination',
+        annotations: {
+          title: 'List Notes',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -71,6 +100,16 @@ class NoteHandler extends BaseHandler {
               type: 'boolean',
               description: 'Return streamlined response optimized for LLM consumption (default: true)',
               default: true
+            },
+            fields: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Note fields to return (id is always included); overrides the streamlined field set'
+            },
+            max_tokens: {
+              type: 'number',
+              description: 'Approximate token budget for the response; longer results come with a continue cursor',
+              minimum: 100
             }
           }
         }
@@ -78,6 +117,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'get_note',
         description: 'Retrieve a specific note by ID or content hash',
+        annotations: {
+          title: 'Get Note',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -88,6 +132,26 @@ class NoteHandler extends BaseHandler {
             projectId: {
               type: 'string',
               description: 'Project ID (defaults to current project)'
+            },
+            content_offset: {
+              type: 'number',
+              description: 'Character offset to continue reading long content from (default: 0)',
+              minimum: 0
+            },
+            streamlined: {
+              type: 'boolean',
+              description: 'Return streamlined response optimized for LLM consumption (default: true)',
+              default: true
+            },
+            fields: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Note fields to return (id is always included); overrides the streamlined field set'
+            },
+            max_tokens: {
+              type: 'number',
+              description: 'Approximate token budget for the response; longer results come with a continue cursor',
+              minimum: 100
             }
           },
           required: ['id']
@@ -96,6 +160,13 @@ class NoteHandler extends BaseHandler {
       {
         name: 'create_note',
         description: 'Create a new note with automatic content hashing and optional embedding generation',
+        annotations: {
+          title: 'Create Note',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -129,6 +200,15 @@ class NoteHandler extends BaseHandler {
             generate_embedding: {
               type: 'boolean',
               description: 'Whether to generate embedding for semantic search (default: true)'
+            },
+            streamlined: {
+              type: 'boolean',
+              description: 'Return only the note\'s identity and metadata instead of the full note (default: true)',
+              default: true
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
             }
           },
           required: ['title', 'content']
@@ -137,6 +217,13 @@ class NoteHandler extends BaseHandler {
       {
         name: 'update_note',
         description: 'Update a note using old_str/new_str pattern replacement with enhanced fuzzy matching and preview options',
+        annotations: {
+          title: 'Update Note',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: false,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -146,12 +233,36 @@ class NoteHandler extends BaseHandler {
             },
             old_str: {
               type: 'string',
-              description: 'String to replace in content (required for content updates)'
+              description: 'String to replace in content (required for content updates unless edits is given)'
             },
             new_str: {
               type: 'string',
               description: 'Replacement string for content'
             },
+            edits: {
+              type: 'array',
+              description: 'Several replacements applied in order and written at once, instead of old_str/new_str. If any edit does not match, nothing is changed',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  old_str: {
+                    type: 'string',
+                    description: 'Exact text to replace; must occur once unless replace_all is set',
+                    minLength: 1
+                  },
+                  new_str: {
+                    type: 'string',
+                    description: 'Replacement text'
+                  },
+                  replace_all: {
+                    type: 'boolean',
+                    description: 'Replace every occurrence (default: false)'
+                  }
+                },
+                required: ['old_str', 'new_str']
+              }
+            },
             title: {
               type: 'string',
               description: 'New title (for metadata updates)',
@@ -166,6 +277,14 @@ class NoteHandler extends BaseHandler {
               type: 'string',
               description: 'New virtual folder path (for metadata updates)'
             },
+            expected_version: {
+              type: 'string',
+              description: 'Version of the note this change is based on (from get_note). If the note changed since, the write is refused with a three-way diff, or merged when rebase is set'
+            },
+            rebase: {
+              type: 'boolean',
+              description: 'With expected_version: merge this change into the current note when it does not overlap the changes made since (default: false)'
+            },
             projectId: {
               type: 'string',
               description: 'Project ID (defaults to current project)'
@@ -192,6 +311,15 @@ class NoteHandler extends BaseHandler {
             preview: {
               type: 'boolean',
               description: 'Preview changes without executing the update (default: false)'
+            },
+            streamlined: {
+              type: 'boolean',
+              description: 'Return only the note\'s identity and metadata instead of the full note (default: true)',
+              default: true
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
             }
           },
           required: ['id']
@@ -200,6 +328,13 @@ class NoteHandler extends BaseHandler {
       {
         name: 'delete_note',
         description: 'Delete a note and clean up associated embeddings',
+        annotations: {
+          title: 'Delete Note',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -214,6 +349,10 @@ class NoteHandler extends BaseHandler {
             deleted_by: {
               type: 'string',
               description: 'Deletion author identifier (defaults to "mcp")'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
             }
           },
           required: ['id']
@@ -222,6 +361,13 @@ class NoteHandler extends BaseHandler {
       {
         name: 'generate_contexts',
         description: 'Generate missing AI contexts (summaries, keywords, themes) for notes that lack them',
+        annotations: {
+          title: 'Generate AI Contexts',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -238,6 +384,10 @@ class NoteHandler extends BaseHandler {
             force_regenerate: {
               type: 'boolean',
               description: 'Force regeneration of all contexts, not just missing ones (default: false)'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
             }
           }
         }
@@ -245,6 +395,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'get_context_stats',
         description: 'Get statistics about AI context generation for the project',
+        annotations: {
+          title: 'AI Context Statistics',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -258,6 +413,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'inspect_content',
         description: 'Inspect note content with detailed formatting information, line numbers, and structure analysis',
+        annotations: {
+          title: 'Inspect Note Content',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -276,6 +436,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'preview_update',
         description: 'Preview what an update_note operation would change without executing it. Shows line-by-line diff and identifies potential issues.',
+        annotations: {
+          title: 'Preview Note Update',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -302,6 +467,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'validate_update',
         description: 'Validate if an update_note operation would succeed without executing it. Returns validation status and suggestions.',
+        annotations: {
+          title: 'Validate Note Update',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -328,6 +498,11 @@ class NoteHandler extends BaseHandler {
       {
         name: 'suggest_patterns',
         description: 'Find similar text patterns in a note when exact pattern matching fails. Useful for debugging failed updates.',
+        annotations: {
+          title: 'Suggest Matching Patterns',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -353,6 +528,324 @@ class NoteHandler extends BaseHandler {
           },
           required: ['id', 'pattern']
         }
+      },
+      {
+        name: 'get_note_outline',
+        description: 'Get the heading tree of a note with the line range of each section. Use it to find headings for the section tools',
+        annotations: {
+          title: 'Note Outline',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['number', 'string'],
+              description: 'Note stable ID or content hash'
+            },
+            projectId: {
+              type: 'string',
+              description: 'Project ID (defaults to current project)'
+            }
+          },
+          required: ['id']
+        }
+      },
+      {
+        name: 'read_section',
+        description: 'Read one section of a note by its markdown heading',
+        annotations: {
+          title: 'Read Note Section',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['number', 'string'],
+              description: 'Note stable ID or content hash'
+            },
+            heading: {
+              type: 'string',
+              description: 'Heading text ("Decisions"), with level ("## Decisions") or as a path ("Project > Decisions")',
+              minLength: 1
+            },
+            line: {
+              type: 'number',
+              description: 'Line of the heading (from get_note_outline), to pick between identical headings',
+              minimum: 1
+            },
+            include_subsections: {
+              type: 'boolean',
+              description: 'Include nested subsections (default: true)',
+              default: true
+            },
+            projectId: {
+              type: 'string',
+              description: 'Project ID (defaults to current project)'
+            }
+          },
+          required: ['id', 'heading']
+        }
+      },
+      {
+        name: 'replace_section',
+        description: 'Replace the body of a note section (including its subsections), found by markdown heading, without quoting the old text',
+        annotations: {
+          title: 'Replace Note Section',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['number', 'string'],
+              description: 'Note stable ID or content hash'
+            },
+            heading: {
+              type: 'string',
+              description: 'Heading text ("Decisions"), with level ("## Decisions") or as a path ("Project > Decisions")',
+              minLength: 1
+            },
+            line: {
+              type: 'number',
+              description: 'Line of the heading (from get_note_outline), to pick between identical headings',
+              minimum: 1
+            },
+            content: {
+              type: 'string',
+              description: 'New section body (without the heading, unless keep_heading is false)'
+            },
+            keep_heading: {
+              type: 'boolean',
+              description: 'Keep the heading line and replace only what follows it (default: true)',
+              default: true
+            },
+            expected_version: {
+              type: 'string',
+              description: 'Version of the note this change is based on (from get_note). If the note changed since, the write is refused with a three-way diff, or merged when rebase is set'
+            },
+            rebase: {
+              type: 'boolean',
+              description: 'With expected_version: merge this change into the current note when it does not overlap the changes made since (default: false)'
+            },
+            projectId: {
+              type: 'string',
+              description: 'Project ID (defaults to current project)'
+            },
+            changed_by: {
+              type: 'string',
+              description: 'Change author identifier (defaults to "mcp")'
+            },
+            streamlined: {
+              type: 'boolean',
+              description: 'Return only the note\'s identity and metadata instead of the full note (default: true)',
+              default: true
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
+            }
+          },
+          required: ['id', 'heading', 'content']
+        }
+      },
+      {
+        name: 'append_to_section',
+        description: 'Add text to the end of a note section, before its subsections',
+        annotations: {
+          title: 'Append to Note Section',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['number', 'string'],
+              description: 'Note stable ID or content hash'
+            },
+            heading: {
+              type: 'string',
+              description: 'Heading text ("Decisions"), with level ("## Decisions") or as a path ("Project > Decisions")',
+              minLength: 1
+            },
+            line: {
+              type: 'number',
+              description: 'Line of the heading (from get_note_outline), to pick between identical headings',
+              minimum: 1
+            },
+            content: {
+              type: 'string',
+              description: 'Text to add after the last line of the section'
+            },
+            expected_version: {
+              type: 'string',
+              description: 'Version of the note this change is based on (from get_note). If the note changed since, the write is refused with a three-way diff, or merged when rebase is set'
+            },
+            rebase: {
+              type: 'boolean',
+              description: 'With expected_version: merge this change into the current note when it does not overlap the changes made since (default: false)'
+            },
+            projectId: {
+              type: 'string',
+              description: 'Project ID (defaults to current project)'
+            },
+            changed_by: {
+              type: 'string',
+              description: 'Change author identifier (defaults to "mcp")'
+            },
+            streamlined: {
+              type: 'boolean',
+              description: 'Return only the note\'s identity and metadata instead of the full note (default: true)',
+              default: true
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
+            }
+          },
+          required: ['id', 'heading', 'content']
+        }
+      },
+      {
+        name: 'insert_after_heading',
+        description: 'Insert text directly below a markdown heading in a note',
+        annotations: {
+          title: 'Insert After Heading',
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['number', 'string'],
+              description: 'Note stable ID or content hash'
+            },
+            heading: {
+              type: 'string',
+              description: 'Heading text ("Decisions"), with level ("## Decisions") or as a path ("Project > Decisions")',
+              minLength: 1
+            },
+            line: {
+              type: 'number',
+              description: 'Line of the heading (from get_note_outline), to pick between identical headings',
+              minimum: 1
+            },
+            content: {
+              type: 'string',
+              description: 'Text to insert below the heading'
+            },
+            expected_version: {
+              type: 'string',
+              description: 'Version of the note this change is based on (from get_note). If the note changed since, the write is refused with a three-way diff, or merged when rebase is set'
+            },
+            rebase: {
+              type: 'boolean',
+              description: 'With expected_version: merge this change into the current note when it does not overlap the changes made since (default: false)'
+            },
+            projectId: {
+              type: 'string',
+              description: 'Project ID (defaults to current project)'
+            },
+            changed_by: {
+              type: 'string',
+              description: 'Change author identifier (defaults to "mcp")'
+            },
+            streamlined: {
+              type: 'boolean',
+              description: 'Return only the note\'s identity and metadata instead of the full note (default: true)',
+              default: true
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Return the request that would be sent and its predicted effect without changing anything (default: false)'
+            }
+          },
+          required: ['id', 'heading', 'content']
+        }
+      },
+      {
+        name: 'find_replace',
+        description: 'Find and replace text across notes. First returns a per-note preview of the changes; call again with apply: true and the approved note ids to write them',
+        annotations: {
+          title: 'Find and Replace',
+          readOnlyHint: false,
+          destructiveHint: true,
+          idempotentHint: false,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            find: {
+              type: 'string',
+              description: 'Text to find, or a JavaScript regular expression when regex is set',
+              minLength: 1
+            },
+            replace: {
+              type: 'string',
+              description: 'Replacement text; with regex, $1, $2... insert capture groups'
+            },
+            regex: {
+              type: 'boolean',
+              description: 'Treat find as a regular expression (^ and $ match at line breaks) (default: false)'
+            },
+            case_sensitive: {
+              type: 'boolean',
+              description: 'Match case exactly (default: true)',
+              default: true
+            },
+            virtual_folder: {
+              type: 'string',
+              description: 'Only search notes in this virtual folder'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only search notes with these tags'
+            },
+            ids: {
+              type: 'array',
+              items: { type: ['number', 'string'] },
+              description: 'Only these notes, instead of virtual_folder/tags. Required with apply: the notes approved from the preview',
+              minItems: 1
+            },
+            apply: {
+              type: 'boolean',
+              description: 'Write the replacements to the notes in ids; otherwise only preview them (default: false)'
+            },
+            context: {
+              type: 'number',
+              description: 'Unchanged lines shown around each change in the preview (default: 1)',
+              minimum: 0,
+              maximum: 10
+            },
+            projectId: {
+              type: 'string',
+              description: 'Project ID (defaults to current project)'
+            },
+            changed_by: {
+              type: 'string',
+              description: 'Change author identifier (defaults to "mcp")'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'With apply: return the requests that would be sent and their predicted effect without changing anything (default: false)'
+            }
+          },
+          required: ['find', 'replace']
+        }
       }
     ];
   }
@@ -369,13 +862,13 @@ class NoteHandler extends BaseHandler {
           return await this.getNote(projectId, params);
         
         case 'create_note':
-          return await this.createNote(projectId, params);
+          return await this.createNote(projectId, params, context);
         
         case 'update_note':
-          return await this.updateNote(projectId, params);
+          return await this.updateNote(projectId, params, context);
         
         case 'delete_note':
-          return await this.deleteNote(projectId, params);
+          return await this.deleteNote(projectId, params, context);
         
         case 'generate_contexts':
           return await this.generateContexts(projectId, params);
@@ -394,6 +887,20 @@ class NoteHandler extends BaseHandler {
         
         case 'suggest_patterns':
           return await this.suggestPatterns(projectId, params);
+
+        case 'get_note_outline':
+          return await this.getNoteOutline(projectId, params);
+
+        case 'read_section':
+          return await this.readNoteSection(projectId, params);
+
+        case 'find_replace':
+          return await this.findReplace(projectId, params, context);
+
+        case 'replace_section':
+        case 'append_to_section':
+        case 'insert_after_heading':
+          return await this.editSection(projectId, toolName, params, context);
         
         default:
           throw new Error(`Unknown tool: ${toolName}`);
@@ -420,16 +927,14 @@ class NoteHandler extends BaseHandler {
     // Use ResponseBuilder for streamlined response if data is array
     if (Array.isArray(result.data?.notes) || Array.isArray(result.data)) {
       const notes = result.data?.notes || result.data;
-      const streamlinedResponse = this.responseBuilder.buildResponse(notes, 'list_notes', { 
-        offset: params.offset, 
-        limit: params.limit 
+      const streamlinedResponse = this.responseBuilder.buildResponse(notes, 'list_notes', {
+        ...this.getResponseOptions(params),
+        offset: params.offset,
+        limit: params.limit,
+        total: result.data?.total ?? result.data?.pagination?.total,
+        args: params
       });
-      return {
-        success: true,
-        data: streamlinedResponse,
-        message: `Retrieved ${notes.length} notes`,
-        timestamp: new Date().toISOString()
-      };
+      return this.formatStreamlined(streamlinedResponse);
     }
     
     return this.formatSuccess(result.data, `Retrieved notes`);
@@ -438,20 +943,18 @@ class NoteHandler extends BaseHandler {
   async getNote(projectId, params) {
     this.validateParams(params, ['id']);
     
-    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(params.id)}`);
-    const result = await this.apiRequest(endpoint);
+    const note = await this.fetchNote(projectId, params.id);
     
     // Use ResponseBuilder for streamlined response
-    const streamlinedResponse = this.responseBuilder.buildResponse(result.data, 'get_note');
-    return {
-      success: true,
-      data: streamlinedResponse.data,
-      message: streamlinedResponse.message,
-      timestamp: new Date().toISOString()
-    };
+    const streamlinedResponse = this.responseBuilder.buildResponse(withVersion(note), 'get_note', {
+      ...this.getResponseOptions(params),
+      id: params.id,
+      contentOffset: params.content_offset
+    });
+    return this.formatStreamlined(streamlinedResponse);
   }
 
-  async createNote(projectId, params) {
+  async createNote(projectId, params, context) {
     this.validateParams(params, ['title', 'content']);
     
     const noteData = {
@@ -470,28 +973,47 @@ class NoteHandler extends BaseHandler {
     }
 
     const endpoint = this.getProjectEndpoint(projectId, `/notes${queryParams ? `?${queryParams}` : ''}`);
+
+    if (this.isDryRun(params)) {
+      const effect = {
+        creates: {
+          title: noteData.title,
+          tags: noteData.tags,
+          virtual_folder: noteData.virtual_folder,
+          content_lines: splitLines(noteData.content).length,
+          content_length: noteData.content.length
+        }
+      };
+      return this.formatDryRun({ method: 'POST', endpoint, body: noteData }, effect, `Would create note "${noteData.title}"`);
+    }
+
     const result = await this.apiRequest(endpoint, {
       method: 'POST',
       body: noteData
     });
+
+    if (result.data?.id !== undefined) {
+      context?.changes?.record({ tool: 'create_note', action: 'create', projectId, noteId: result.data.id, after: result.data });
+    }
+    this.getVersions().remember(projectId, result.data, { changedBy: noteData.created_by });
     
     // Use ResponseBuilder for streamlined response
-    const streamlinedResponse = this.responseBuilder.buildResponse(result.data, 'create_note');
-    return {
-      success: true,
-      data: streamlinedResponse.data,
-      message: streamlinedResponse.message,
-      timestamp: new Date().toISOString()
-    };
+    const streamlinedResponse = this.responseBuilder.buildResponse(withVersion(result.data), 'create_note', this.getResponseOptions(params));
+    return this.formatStreamlined(streamlinedResponse);
   }
 
-  async updateNote(projectId, params) {
+  async updateNote(projectId, params, context) {
     this.validateParams(params, ['id']);
     
     const noteId = params.id;
     const updateData = {};
     const queryParams = new URLSearchParams();
 
+    // Several replacements, matched against one snapshot and written together
+    if (params.edits !== undefined) {
+      return this.applyEdits(projectId, params, context);
+    }
+
     // Content update (requires old_str/new_str)
     if (params.old_str !== undefined && params.new_str !== undefined) {
       updateData.old_str = params.old_str;
@@ -513,10 +1035,39 @@ class NoteHandler extends BaseHandler {
       }
 
       const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(noteId)}${queryParams ? `?${queryParams}` : ''}`);
+
+      // Written against an older version: rebase onto the current note or report the conflict
+      const current = params.expected_version !== undefined ? await this.fetchNote(projectId, noteId) : null;
+      const rebased = this.rebaseIfChanged(projectId, params, current, content =>
+        content.includes(params.old_str) ? content.replace(params.old_str, () => params.new_str) : null
+      );
+      if (rebased !== null) {
+        return this.writeNoteContent(projectId, params, context, {
+          tool: 'update_note',
+          note: current,
+          content: rebased,
+          action: `apply the update to note ${noteId}, rebased from version ${params.expected_version}`,
+          details: { rebased_from: params.expected_version },
+          confirm: true
+        });
+      }
+
+      if (this.isDryRun(params)) {
+        return this.dryRunContentUpdate(projectId, noteId, { method: 'PATCH', endpoint, body: updateData });
+      }
+
+      if (!params.preview) {
+        await this.confirmAction(context, `Replace content in note ${noteId}?\n\n- ${this.excerpt(params.old_str)}\n+ ${this.excerpt(params.new_str)}`);
+      }
+
+      const before = params.preview ? null : await this.captureBefore(projectId, noteId, context, current);
       const result = await this.apiRequest(endpoint, {
         method: 'PATCH',
+        headers: this.ifMatch(params, current),
         body: updateData
       });
+      this.recordChange(context, 'update_note', 'update', projectId, noteId, before);
+      if (!params.preview) this.getVersions().remember(projectId, result.data, { changedBy: updateData.changed_by });
       
       // Enhanced response handling
       if (params.preview) {
@@ -530,15 +1081,11 @@ class NoteHandler extends BaseHandler {
       }
       
       // Use ResponseBuilder for streamlined response
-      const streamlinedResponse = this.responseBuilder.buildResponse(result.data, 'update_note');
-      return {
-        success: true,
-        data: streamlinedResponse.data,
-        message: streamlinedResponse.message,
+      const streamlinedResponse = this.responseBuilder.buildResponse(withVersion(result.data), 'update_note', this.getResponseOptions(params));
+      return this.formatStreamlined(streamlinedResponse, {
         fuzzyMatch: result.fuzzyMatch || null,
-        exactMatch: result.exactMatch !== false,
-        timestamp: new Date().toISOString()
-      };
+        exactMatch: result.exactMatch !== false
+      });
     }
 
     // Metadata update
@@ -557,33 +1104,50 @@ class NoteHandler extends BaseHandler {
     }
 
     const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(noteId)}${queryParams ? `?${queryParams}` : ''}`);
+
+    // Metadata never overlaps content changes, so a rebase always applies
+    const current = params.expected_version !== undefined ? await this.fetchNote(projectId, noteId) : null;
+    this.rebaseIfChanged(projectId, params, current, content => content);
+
+    if (this.isDryRun(params)) {
+      return this.dryRunMetadataUpdate(projectId, noteId, { method: 'PUT', endpoint, body: updateData });
+    }
+
+    const before = await this.captureBefore(projectId, noteId, context, current);
     const result = await this.apiRequest(endpoint, {
       method: 'PUT',
+      headers: this.ifMatch(params, current),
       body: updateData
     });
+    this.recordChange(context, 'update_note', 'update', projectId, noteId, before);
+    this.getVersions().remember(projectId, result.data, { changedBy: updateData.changed_by });
     
     // Use ResponseBuilder for streamlined response
-    const streamlinedResponse = this.responseBuilder.buildResponse(result.data, 'update_note');
-    return {
-      success: true,
-      data: streamlinedResponse.data,
-      message: streamlinedResponse.message,
-      timestamp: new Date().toISOString()
-    };
+    const streamlinedResponse = this.responseBuilder.buildResponse(withVersion(result.data), 'update_note', this.getResponseOptions(params));
+    return this.formatStreamlined(streamlinedResponse);
   }
 
-  async deleteNote(projectId, params) {
+  async deleteNote(projectId, params, context) {
     this.validateParams(params, ['id']);
-    
+
     const deleteData = {
       deleted_by: params.deleted_by || 'mcp'
     };
 
     const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(params.id)}`);
+
+    if (this.isDryRun(params)) {
+      return this.dryRunDelete(projectId, params.id, { method: 'DELETE', endpoint, body: deleteData });
+    }
+
+    await this.confirmAction(context, `Delete note ${params.id}?`);
+
+    const before = await this.captureBefore(projectId, params.id, context);
     const result = await this.apiRequest(endpoint, {
       method: 'DELETE',
       body: deleteData
     });
+    this.recordChange(context, 'delete_note', 'delete', projectId, params.id, before);
     
     return this.formatSuccess(result, `Deleted note (ID: ${params.id})`);
   }
@@ -595,15 +1159,301 @@ class NoteHandler extends BaseHandler {
     };
 
     const endpoint = this.getProjectEndpoint(projectId, '/notes/contexts/generate');
+
+    if (this.isDryRun(params)) {
+      const stats = await this.apiRequest(this.getProjectEndpoint(projectId, '/notes/contexts/stats'));
+      const effect = { ...requestData, context_stats: stats.data ?? null };
+      const scope = requestData.force_regenerate ? 'regenerating existing contexts' : 'skipping notes that already have one';
+      return this.formatDryRun({ method: 'POST', endpoint, body: requestData }, effect, `Would generate AI contexts for up to ${requestData.batch_size} notes, ${scope}`);
+    }
+
+    // Server-side generation takes a while per note; the default timeout would
+    // give up on a batch that is still being processed
     const result = await this.apiRequest(endpoint, {
       method: 'POST',
-      body: requestData
+      body: requestData,
+      timeout: this.config.http?.longTimeout
     });
     
     const { processed, successful, failed } = result.data;
     return this.formatSuccess(result, `Generated AI contexts: ${successful}/${processed} successful, ${failed} failed`);
   }
 
+  /**
+   * Apply an edits list to a snapshot of the note and write the result in
+   * one PATCH. Every edit is checked first; if any fails, nothing is written
+   * and the failures come back with similar patterns from the note.
+   */
+  async applyEdits(projectId, params, context) {
+    if (params.old_str !== undefined || params.new_str !== undefined) {
+      throw new Error('Pass either edits or old_str/new_str, not both');
+    }
+    const metadata = ['title', 'tags', 'virtual_folder'].filter(field => params[field] !== undefined);
+    if (metadata.length > 0) {
+      throw new Error(`edits can't be combined with ${metadata.join(', ')}; update the metadata in a separate call`);
+    }
+
+    const noteId = params.id;
+    const note = await this.fetchNote(projectId, noteId);
+    const original = note?.content ?? '';
+
+    const rebased = this.rebaseIfChanged(projectId, params, note, base => {
+      const replayed = this.applyEditsToContent(base, params.edits);
+      return replayed.failures.length === 0 ? replayed.content : null;
+    });
+    if (rebased !== null) {
+      return this.writeNoteContent(projectId, params, context, {
+        tool: 'update_note',
+        note,
+        content: rebased,
+        action: `apply ${params.edits.length} edit${params.edits.length === 1 ? '' : 's'} to note ${noteId}, rebased from version ${params.expected_version}`,
+        details: { rebased_from: params.expected_version },
+        confirm: true
+      });
+    }
+
+    const { content, applied, failures } = this.applyEditsToContent(original, params.edits);
+
+    if (failures.length > 0) {
+      await this.addPatternSuggestions(projectId, noteId, params.edits, failures);
+      const reasons = failures.map(failure => `edit ${failure.edit} ${failure.reason}`).join('; ');
+      return {
+        ...this.formatError(new Error(`No changes made to note ${noteId}: ${reasons}`), 'update_note'),
+        failures
+      };
+    }
+
+    // Let the API check the combined replacement before anything is written
+    if (content !== original) {
+      const validation = await this.requestUpdateValidation(projectId, noteId, original, content);
+      if (validation.data?.isValid === false) {
+        return {
+          ...this.formatError(new Error(validation.message || `The API rejected the combined edits to note ${noteId}`), 'update_note'),
+          validation: validation.data
+        };
+      }
+    }
+
+    const count = `${applied.length} edit${applied.length === 1 ? '' : 's'}`;
+    return this.writeNoteContent(projectId, params, context, {
+      tool: 'update_note',
+      note,
+      content,
+      action: `apply ${count} to note ${noteId}`,
+      details: { edits: applied },
+      confirm: true
+    });
+  }
+
+  /**
+   * Write content derived from a fetched note in one PATCH. The fetched
+   * content is sent as old_str, so the write fails if the note changed in
+   * the meantime. Handles dry_run, preview, confirmation and undo history.
+   */
+  async writeNoteContent(projectId, params, context, { tool, note, content, action, details = {}, confirm = false }) {
+    const noteId = params.id;
+    const original = note?.content ?? '';
+
+    const queryParams = new URLSearchParams();
+    if (params.update_embedding !== undefined) {
+      queryParams.append('update_embedding', params.update_embedding);
+    }
+
+    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(noteId)}${queryParams.toString() ? `?${queryParams}` : ''}`);
+    const updateData = { old_str: original, new_str: content, changed_by: params.changed_by || 'mcp' };
+    const effect = { ...details, ...diffLines(original, content) };
+    const size = `+${effect.added} -${effect.removed} lines`;
+
+    if (this.isDryRun(params)) {
+      return this.formatDryRun({ method: 'PATCH', endpoint, body: updateData }, effect, `Would ${action}: ${size}`);
+    }
+    if (params.preview) {
+      return {
+        success: true,
+        data: effect,
+        message: `Preview (${action}): ${size}`,
+        preview: true,
+        timestamp: new Date().toISOString()
+      };
+    }
+    if (content === original) {
+      return this.formatSuccess(details, `Note ${noteId} is already up to date; nothing was written`);
+    }
+
+    if (confirm) {
+      await this.confirmAction(context, `${action[0].toUpperCase()}${action.slice(1)}?\n\n${size}`);
+    }
+
+    const result = await this.apiRequest(endpoint, {
+      method: 'PATCH',
+      headers: this.ifMatch(params, note),
+      body: updateData
+    });
+    this.recordChange(context, tool, 'update', projectId, noteId, context?.changes ? note : null);
+    this.getVersions().remember(projectId, result.data, { changedBy: updateData.changed_by });
+
+    const streamlinedResponse = this.responseBuilder.buildResponse(withVersion(result.data), 'update_note', this.getResponseOptions(params));
+    return this.formatStreamlined(streamlinedResponse, details);
+  }
+
+  /**
+   * Apply edits in order; returns the new content, what each edit replaced
+   * and the edits that didn't match exactly once
+   */
+  applyEditsToContent(content, edits) {
+    const applied = [];
+    const failures = [];
+
+    edits.forEach((edit, index) => {
+      const matches = content.split(edit.old_str).length - 1;
+      if (matches === 0) {
+        failures.push({ edit: index + 1, reason: 'old_str not found' });
+      } else if (matches > 1 && !edit.replace_all) {
+        failures.push({ edit: index + 1, reason: `old_str matches ${matches} times; make it unique or set replace_all` });
+      } else {
+        content = edit.replace_all
+          ? content.split(edit.old_str).join(edit.new_str)
+          : content.replace(edit.old_str, () => edit.new_str);
+        applied.push({ edit: index + 1, replacements: matches });
+      }
+    });
+
+    return { content, applied, failures };
+  }
+
+  /**
+   * Attach suggest_patterns results to edits whose old_str wasn't found
+   */
+  async addPatternSuggestions(projectId, noteId, edits, failures) {
+    for (const failure of failures) {
+      if (failure.reason !== 'old_str not found') continue;
+      try {
+        const result = await this.requestPatternSuggestions(projectId, noteId, edits[failure.edit - 1].old_str);
+        failure.suggestions = result.data?.suggestions || [];
+      } catch (error) {
+        // Suggestions are a hint only
+      }
+    }
+  }
+
+  /**
+   * Note as it is before a write, when the session keeps an undo history
+   * (`known` is a copy fetched for this write already)
+   */
+  async captureBefore(projectId, noteId, context, known = null) {
+    if (!context?.changes) return null;
+    return known ?? this.fetchNote(projectId, noteId);
+  }
+
+  /**
+   * Fetch a note and remember its content as a possible merge base
+   */
+  async fetchNote(projectId, id) {
+    const note = await super.fetchNote(projectId, id);
+    this.getVersions().remember(projectId, note);
+    return note;
+  }
+
+  /**
+   * expected_version check for a write based on `note` as fetched now.
+   * Returns null when the note is unchanged (or no version was given), the
+   * rebased content when `rebase` merged the change, or throws ConflictError.
+   */
+  rebaseIfChanged(projectId, params, note, applyChange) {
+    if (params.expected_version === undefined || !note) return null;
+
+    return rebaseOrConflict({
+      noteId: params.id,
+      expectedVersion: params.expected_version,
+      current: note,
+      base: this.getVersions().get(projectId, note.id ?? params.id, params.expected_version),
+      applyChange,
+      rebase: params.rebase === true
+    });
+  }
+
+  /**
+   * If-Match header with the note version a versioned write was checked
+   * against, so an API that supports it closes the remaining race
+   */
+  ifMatch(params, note) {
+    const version = params.expected_version !== undefined ? noteVersion(note) : null;
+    return version ? { 'If-Match': `"${version}"` } : {};
+  }
+
+  /**
+   * Add a completed write to the session's undo history.
+   * The stable ID is kept, since a content hash changes with the content.
+   */
+  recordChange(context, tool, action, projectId, noteId, before) {
+    if (!context?.changes || !before) return;
+    context.changes.record({ tool, action, projectId, noteId: before.id ?? noteId, before });
+  }
+
+  /**
+   * Predict a content replacement: match count and the diff of the first match
+   */
+  async dryRunContentUpdate(projectId, noteId, request) {
+    const { old_str: oldStr, new_str: newStr, fuzzy_match: fuzzy } = request.body;
+    const content = (await this.fetchNote(projectId, noteId))?.content || '';
+    const matches = oldStr ? content.split(oldStr).length - 1 : 0;
+
+    if (matches === 0) {
+      const effect = { matches, would_apply: false };
+      const hint = fuzzy ? ' (the API may still find a fuzzy match)' : '';
+      return this.formatDryRun(request, effect, `old_str was not found in note ${noteId}${hint}`);
+    }
+
+    const updated = content.replace(oldStr, () => newStr);
+    const effect = { matches, would_apply: true, ...diffLines(content, updated) };
+    if (matches > 1) {
+      effect.warning = `old_str occurs ${matches} times; only the first occurrence would be replaced`;
+    }
+    return this.formatDryRun(request, effect, `Would change note ${noteId}: +${effect.added} -${effect.removed} lines`);
+  }
+
+  /**
+   * Predict a metadata update: the fields that would change, from and to
+   */
+  async dryRunMetadataUpdate(projectId, noteId, request) {
+    const note = await this.fetchNote(projectId, noteId) || {};
+    const changes = {};
+    for (const field of ['title', 'tags', 'virtual_folder']) {
+      const to = request.body[field];
+      if (to !== undefined && JSON.stringify(to) !== JSON.stringify(note[field])) {
+        changes[field] = { from: note[field] ?? null, to };
+      }
+    }
+
+    const fields = Object.keys(changes);
+    const message = fields.length > 0
+      ? `Would update ${fields.join(', ')} of note ${noteId}`
+      : `Note ${noteId} already has these values; nothing would change`;
+    return this.formatDryRun(request, { changes }, message);
+  }
+
+  /**
+   * Predict a deletion: the note removed and the links left dangling
+   */
+  async dryRunDelete(projectId, noteId, request) {
+    const note = await this.fetchNote(projectId, noteId) || {};
+    const connections = await this.fetchConnections(projectId, noteId);
+    const backlinks = connections?.backlinks?.length ?? null;
+
+    const effect = {
+      deletes: {
+        id: note.id ?? noteId,
+        title: note.title ?? null,
+        virtual_folder: note.virtual_folder ?? null,
+        content_length: note.content?.length ?? null
+      },
+      backlinks_broken: backlinks,
+      forward_links_removed: connections?.forwardLinks?.length ?? null
+    };
+    const links = backlinks ? ` (${backlinks} note${backlinks === 1 ? '' : 's'} link to it)` : '';
+    return this.formatDryRun(request, effect, `Would delete note "${note.title ?? noteId}"${links}`);
+  }
+
   async getContextStats(projectId, params) {
     const endpoint = this.getProjectEndpoint(projectId, '/notes/contexts/stats');
     const result = await this.apiRequest(endpoint);
@@ -611,6 +1461,38 @@ class NoteHandler extends BaseHandler {
     return this.formatSuccess(result, `Retrieved AI context statistics for project: ${projectId}`);
   }
 
+  /**
+   * Shorten text for confirmation prompts
+   */
+  excerpt(text, length = 200) {
+    return text.length > length ? `${text.slice(0, length)}...` : text;
+  }
+
+  /**
+   * ResponseBuilder options from the common tool parameters
+   */
+  getResponseOptions(params) {
+    return {
+      streamlined: params.streamlined,
+      fields: params.fields,
+      maxTokens: params.max_tokens
+    };
+  }
+
+  /**
+   * Format a ResponseBuilder result, passing on its continue cursor
+   */
+  formatStreamlined(response, extra = {}) {
+    return {
+      success: true,
+      data: response.data,
+      message: response.message,
+      ...(response.continue && { continue: response.continue }),
+      ...extra,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   // Enhanced Content Preview and Inspection Methods
 
   async inspectContent(projectId, params) {
@@ -630,14 +1512,7 @@ class NoteHandler extends BaseHandler {
   async previewUpdate(projectId, params) {
     this.validateParams(params, ['id', 'old_str', 'new_str']);
     
-    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(params.id)}/content/preview`);
-    const result = await this.apiRequest(endpoint, {
-      method: 'POST',
-      body: {
-        old_str: params.old_str,
-        new_str: params.new_str
-      }
-    });
+    const result = await this.requestUpdatePreview(projectId, params.id, params.old_str, params.new_str);
     
     return {
       success: true,
@@ -651,14 +1526,7 @@ class NoteHandler extends BaseHandler {
   async validateUpdate(projectId, params) {
     this.validateParams(params, ['id', 'old_str', 'new_str']);
     
-    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(params.id)}/content/validate`);
-    const result = await this.apiRequest(endpoint, {
-      method: 'POST',
-      body: {
-        old_str: params.old_str,
-        new_str: params.new_str
-      }
-    });
+    const result = await this.requestUpdateValidation(projectId, params.id, params.old_str, params.new_str);
     
     return {
       success: true,
@@ -672,14 +1540,7 @@ class NoteHandler extends BaseHandler {
   async suggestPatterns(projectId, params) {
     this.validateParams(params, ['id', 'pattern']);
     
-    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(params.id)}/content/suggest`);
-    const result = await this.apiRequest(endpoint, {
-      method: 'POST',
-      body: {
-        pattern: params.pattern,
-        threshold: params.threshold || 0.6
-      }
-    });
+    const result = await this.requestPatternSuggestions(projectId, params.id, params.pattern, params.threshold);
     
     return {
       success: true,
@@ -690,6 +1551,261 @@ class NoteHandler extends BaseHandler {
     };
   }
 
+  // Section-aware editing
+
+  async getNoteOutline(projectId, params) {
+    this.validateParams(params, ['id']);
+
+    const note = await this.fetchNote(projectId, params.id);
+    const { lines, sections } = parseOutline(note?.content ?? '');
+
+    return this.formatSuccess(
+      {
+        id: note?.id ?? params.id,
+        title: note?.title ?? null,
+        version: noteVersion(note),
+        line_count: lines.length,
+        headings: sections.map(({ level, heading, path, start_line, end_line }) => ({ level, heading, path, start_line, end_line }))
+      },
+      `Note "${note?.title ?? params.id}" has ${sections.length} heading${sections.length === 1 ? '' : 's'}`
+    );
+  }
+
+  async readNoteSection(projectId, params) {
+    this.validateParams(params, ['id', 'heading']);
+
+    const note = await this.fetchNote(projectId, params.id);
+    const { lines, sections } = parseOutline(note?.content ?? '');
+    const section = findSection(sections, params.heading, { line: params.line ?? null });
+    const includeSubsections = params.include_subsections !== false;
+
+    return this.formatSuccess(
+      {
+        id: note?.id ?? params.id,
+        version: noteVersion(note),
+        heading: section.heading,
+        level: section.level,
+        path: section.path,
+        start_line: section.start_line,
+        end_line: includeSubsections ? section.end_line : section.body_end_line,
+        content: readSection(lines, section, { includeSubsections })
+      },
+      `Section "${section.path}" of note "${note?.title ?? params.id}"`
+    );
+  }
+
+  /**
+   * replace_section, append_to_section and insert_after_heading: locate the
+   * section in a snapshot of the note and write the new content in one PATCH
+   */
+  async editSection(projectId, toolName, params, context) {
+    this.validateParams(params, ['id', 'heading', 'content']);
+
+    const edits = {
+      replace_section: (lines, section) => replaceSection(lines, section, params.content, { keepHeading: params.keep_heading !== false }),
+      append_to_section: (lines, section) => appendToSection(lines, section, params.content),
+      insert_after_heading: (lines, section) => insertAfterHeading(lines, section, params.content)
+    };
+    const verbs = {
+      replace_section: 'replace section',
+      append_to_section: 'append to section',
+      insert_after_heading: 'insert below heading'
+    };
+    const locate = content => {
+      const { lines, sections } = parseOutline(content);
+      return { lines, section: findSection(sections, params.heading, { line: params.line ?? null }) };
+    };
+
+    const note = await this.fetchNote(projectId, params.id);
+    const rebased = this.rebaseIfChanged(projectId, params, note, base => {
+      const { lines, section } = locate(base);
+      return edits[toolName](lines, section);
+    });
+    const { lines, section } = rebased === null ? locate(note?.content ?? '') : {};
+    const target = section ? `"${section.path}"` : `"${params.heading}"`;
+
+    return this.writeNoteContent(projectId, params, context, {
+      tool: toolName,
+      note,
+      content: rebased ?? edits[toolName](lines, section),
+      action: `${verbs[toolName]} ${target} in note ${params.id}${rebased !== null ? `, rebased from version ${params.expected_version}` : ''}`,
+      details: rebased !== null
+        ? { rebased_from: params.expected_version }
+        : { section: { heading: section.heading, path: section.path, start_line: section.start_line } },
+      confirm: toolName === 'replace_section'
+    });
+  }
+
+  /**
+   * find_replace: preview the replacements in every note in scope, or write
+   * them to the approved notes (apply with ids). Notes are matched again
+   * when applying, so ones that changed meanwhile get the current matches
+   * and ones that no longer match are reported as no_match.
+   */
+  async findReplace(projectId, params, context) {
+    this.validateParams(params, ['find', 'replace']);
+
+    const pattern = this.buildFindPattern(params);
+    const replaceIn = content => ({
+      matches: (content.match(pattern) || []).length,
+      content: content.replace(pattern, params.regex ? params.replace : () => params.replace)
+    });
+
+    if (params.apply && params.ids === undefined) {
+      throw new Error('Pass ids with apply: true - the notes from the preview to change');
+    }
+    const { notes, missing } = params.ids !== undefined
+      ? await this.bulk.resolveTargets(projectId, { ids: params.ids })
+      : { notes: await this.bulk.collectNotes(projectId, { virtual_folder: params.virtual_folder, tags: params.tags }), missing: [] };
+
+    // Listings may leave out content
+    const loaded = await this.bulk.run(notes, note => (typeof note.content === 'string' ? note : this.fetchNote(projectId, note.id)));
+    const failed = missing.map(({ id, error }) => ({ id, status: 'failed', error }));
+    const matched = [];
+    const unmatched = [];
+    loaded.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        failed.push({ id: notes[index].id, title: notes[index].title ?? null, status: 'failed', error: outcome.reason.message });
+        return;
+      }
+      const note = outcome.value;
+      const replaced = replaceIn(note.content ?? '');
+      (replaced.matches > 0 ? matched : unmatched).push({ note, ...replaced });
+    });
+
+    return params.apply
+      ? this.applyFindReplace(projectId, params, context, { matched, unmatched, failed })
+      : this.previewFindReplace(projectId, params, { scanned: notes.length + missing.length, matched, failed });
+  }
+
+  async previewFindReplace(projectId, params, { scanned, matched, failed }) {
+    const previews = await this.bulk.run(matched, ({ note, content }) => this.requestUpdatePreview(projectId, note.id, note.content, content));
+    const entries = matched.map(({ note, matches, content }, index) => ({
+      id: note.id,
+      title: note.title ?? null,
+      version: noteVersion(note),
+      matches,
+      would_succeed: previews[index].status === 'fulfilled' ? previews[index].value.data?.wouldSucceed ?? null : false,
+      ...(previews[index].status === 'rejected' && { preview_error: previews[index].reason.message }),
+      diff: diffLines(note.content, content, { context: params.context ?? 1 }).diff
+    }));
+    const totalMatches = entries.reduce((sum, entry) => sum + entry.matches, 0);
+
+    return this.formatSuccess(
+      {
+        scanned,
+        matched_notes: entries.length,
+        total_matches: totalMatches,
+        notes: entries,
+        ...(failed.length > 0 && { failed }),
+        apply_with: { apply: true, ids: entries.filter(entry => entry.would_succeed !== false).map(entry => entry.id) }
+      },
+      entries.length === 0
+        ? `No matches for "${this.excerpt(params.find, 80)}" in ${scanned} note${scanned === 1 ? '' : 's'}`
+        : `Found ${totalMatches} match${totalMatches === 1 ? '' : 'es'} in ${entries.length} of ${scanned} notes. Nothing was changed: call find_replace again with apply: true and the ids of the notes to change`
+    );
+  }
+
+  async applyFindReplace(projectId, params, context, { matched, unmatched, failed }) {
+    const changedBy = params.changed_by || 'mcp';
+    const requests = matched.map(({ note, content }) => ({
+      method: 'PATCH',
+      endpoint: this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(note.id)}`),
+      body: { old_str: note.content, new_str: content, changed_by: changedBy }
+    }));
+    const totalMatches = matched.reduce((sum, entry) => sum + entry.matches, 0);
+    const noMatch = unmatched.map(({ note }) => ({ id: note.id, title: note.title ?? null, status: 'no_match' }));
+
+    if (this.isDryRun(params)) {
+      const effect = {
+        updates: matched.map(({ note, matches, content }) => ({ id: note.id, title: note.title ?? null, matches, diff: diffLines(note.content, content, { context: params.context ?? 1 }).diff })),
+        ...(noMatch.length > 0 && { no_match: noMatch.map(entry => entry.id) }),
+        ...(failed.length > 0 && { failed })
+      };
+      return this.formatDryRun(requests, effect, `Would replace ${totalMatches} match${totalMatches === 1 ? '' : 'es'} in ${matched.length} note${matched.length === 1 ? '' : 's'}`);
+    }
+
+    if (matched.length > 0) {
+      await this.confirmAction(context, `Replace "${this.excerpt(params.find, 80)}" with "${this.excerpt(params.replace, 80)}" in ${matched.length} note${matched.length === 1 ? '' : 's'} (${totalMatches} matches)?`);
+    }
+
+    const outcomes = await this.bulk.run(requests, async (request, index) => {
+      const { note } = matched[index];
+      const result = await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+      this.recordChange(context, 'find_replace', 'update', projectId, note.id, context?.changes ? note : null);
+      this.getVersions().remember(projectId, result.data, { changedBy });
+    });
+
+    const results = [
+      ...matched.map(({ note, matches }, index) => outcomes[index].status === 'fulfilled'
+        ? { id: note.id, title: note.title ?? null, status: 'replaced', replacements: matches }
+        : { id: note.id, title: note.title ?? null, status: 'failed', error: outcomes[index].reason.message }),
+      ...noMatch,
+      ...failed
+    ];
+    const summary = this.bulk.summarize(results);
+    const replacements = results.reduce((sum, result) => sum + (result.replacements || 0), 0);
+    const others = [['no_match', 'no longer matched'], ['failed', 'failed']]
+      .filter(([status]) => summary[status])
+      .map(([status, label]) => `${summary[status]} ${label}`);
+
+    return this.formatSuccess(
+      { results, summary },
+      `Replaced ${replacements} match${replacements === 1 ? '' : 'es'} in ${summary.replaced || 0} of ${results.length} notes${others.length > 0 ? ` (${others.join(', ')})` : ''}`
+    );
+  }
+
+  /**
+   * Global RegExp for find_replace: the literal text, or the regex (multiline)
+   */
+  buildFindPattern(params) {
+    const flags = `g${params.case_sensitive === false ? 'i' : ''}${params.regex ? 'm' : ''}`;
+    const pattern = new RegExp(params.regex ? params.find : escapeRegExp(params.find), flags); // SyntaxError names the problem
+
+    if (pattern.test('')) {
+      throw new Error('find must not match empty text');
+    }
+    pattern.lastIndex = 0;
+    return pattern;
+  }
+
+  async requestUpdatePreview(projectId, noteId, oldStr, newStr) {
+    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(noteId)}/content/preview`);
+    return this.apiRequest(endpoint, {
+      method: 'POST',
+      body: {
+        old_str: oldStr,
+        new_str: newStr
+      }
+    });
+  }
+
+  async requestUpdateValidation(projectId, noteId, oldStr, newStr) {
+    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(noteId)}/content/validate`);
+    return this.apiRequest(endpoint, {
+      method: 'POST',
+      body: {
+        old_str: oldStr,
+        new_str: newStr
+      }
+    });
+  }
+
+  async requestPatternSuggestions(projectId, noteId, pattern, threshold) {
+    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(noteId)}/content/suggest`);
+    return this.apiRequest(endpoint, {
+      method: 'POST',
+      body: {
+        pattern,
+        threshold: threshold || 0.6
+      }
+    });
+  }
+
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 export default NoteHandler;
\ No newline at end of file
@@ -1,4 +1,5 @@
 import BaseHandler from './BaseHandler.js';
+import { NotFoundError } from '../utils/errors.js';
 
 /**
  * Project Handler
@@ -25,6 +26,11 @@ class ProjectHandler extends BaseHandler {
       {
         name: 'list_projects',
         description: 'List all available projects in the system',
+        annotations: {
+          title: 'List Projects',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -38,6 +44,11 @@ class ProjectHandler extends BaseHandler {
       {
         name: 'get_project_info',
         description: 'Get detailed information about a specific project',
+        annotations: {
+          title: 'Project Info',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -55,6 +66,11 @@ class ProjectHandler extends BaseHandler {
       {
         name: 'get_current_context',
         description: 'Get information about the current active project and system context',
+        annotations: {
+          title: 'Current Context',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {}
@@ -105,7 +121,7 @@ class ProjectHandler extends BaseHandler {
       
       return this.formatSuccess(result, `Retrieved info for project: ${projectId}`);
     } catch (error) {
-      if (error.message.includes('404')) {
+      if (error instanceof NotFoundError) {
         const result = {
           projectId,
           available: false,
@@ -130,7 +146,7 @@ class ProjectHandler extends BaseHandler {
       const contextInfo = {
         currentProject: context.currentProject,
         apiUrl: this.apiUrl,
-        hasApiKey: !!this.apiKey,
+        hasApiKey: !!this.getApiKey(),
         timestamp: new Date().toISOString(),
         projectInfo: projectInfo.data || projectInfo
       };
@@ -141,7 +157,7 @@ class ProjectHandler extends BaseHandler {
       const contextInfo = {
         currentProject: context.currentProject,
         apiUrl: this.apiUrl,
-        hasApiKey: !!this.apiKey,
+        hasApiKey: !!this.getApiKey(),
         timestamp: new Date().toISOString(),
         projectInfo: null,
         warning: `Could not retrieve project info: ${error.message}`
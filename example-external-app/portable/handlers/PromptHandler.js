@@ -0,0 +1,245 @@
+import BaseHandler from './BaseHandler.js';
+
+// {{name}}, {{name?}}, {{name: description}}, {{name?: description}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)(\?)?\s*(?::\s*([^}]*?))?\s*\}\}/g;
+
+// ![[Note title]] or ![[note-id]] embeds another note into the prompt
+const EMBED_PATTERN = /!\[\[([^\]]+)\]\]/g;
+
+/**
+ * Prompt Handler
+ *
+ * Exposes notes in a designated virtual folder as MCP prompts.
+ * Placeholders in the note content become prompt arguments, and embedded
+ * note references are inlined when the prompt is rendered.
+ */
+class PromptHandler extends BaseHandler {
+  constructor(config) {
+    super(config);
+    this.promptsConfig = {
+      folder: 'prompts',
+      limit: 200,
+      inlineReferences: true,
+      ...config.prompts
+    };
+  }
+
+  /**
+   * List prompts available in the project's prompt folder
+   */
+  async listPrompts(context) {
+    const notes = await this.fetchPromptNotes(context.currentProject);
+    return this.buildPromptIndex(notes).map(({ prompt }) => prompt);
+  }
+
+  /**
+   * Render a prompt with the given arguments
+   */
+  async getPrompt(name, args = {}, context) {
+    const projectId = context.currentProject;
+    const notes = await this.fetchPromptNotes(projectId);
+    const entry = this.buildPromptIndex(notes).find(({ prompt }) => prompt.name === name);
+
+    if (!entry) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    // List results may be truncated, so render from the full note
+    const note = await this.tryFetchNote(projectId, entry.note.id) || entry.note;
+    const { prompt } = this.describePrompt(note, name);
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new Error(`Missing required prompt arguments: ${missing.join(', ')}`);
+    }
+
+    const text = this.renderTemplate(note.content || '', args);
+    const inline = this.promptsConfig.inlineReferences;
+
+    // Embedded notes follow as resources; the prompt keeps a plain wikilink
+    const messages = [
+      {
+        role: 'user',
+        content: { type: 'text', text: inline ? text.replace(EMBED_PATTERN, '[[$1]]') : text }
+      }
+    ];
+
+    if (inline) {
+      messages.push(...await this.buildEmbeddedMessages(projectId, note.content || ''));
+    }
+
+    return {
+      description: prompt.description,
+      messages
+    };
+  }
+
+  /**
+   * Fetch all notes in the prompt folder
+   */
+  async fetchPromptNotes(projectId) {
+    const queryParams = new URLSearchParams({
+      virtual_folder: this.promptsConfig.folder,
+      limit: this.promptsConfig.limit
+    });
+
+    const endpoint = this.getProjectEndpoint(projectId, `/notes?${queryParams}`);
+    const result = await this.apiRequest(endpoint);
+    const notes = result.data?.notes || result.data || [];
+
+    return Array.isArray(notes) ? notes : [];
+  }
+
+  /**
+   * Fetch a single note, returning null when it can't be retrieved
+   */
+  async tryFetchNote(projectId, id) {
+    try {
+      return (await this.fetchNote(projectId, id)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Map notes to prompts, keeping names unique
+   */
+  buildPromptIndex(notes) {
+    const seen = new Set();
+
+    return notes.map(note => {
+      let name = this.slugify(note.title) || `prompt-${note.id}`;
+      if (seen.has(name)) {
+        name = `${name}-${note.id}`;
+      }
+      seen.add(name);
+
+      return this.describePrompt(note, name);
+    });
+  }
+
+  /**
+   * Build the MCP prompt definition for a note
+   */
+  describePrompt(note, name) {
+    const args = new Map();
+
+    for (const match of (note.content || '').matchAll(PLACEHOLDER_PATTERN)) {
+      const [, argName, optional, description] = match;
+      const existing = args.get(argName);
+
+      args.set(argName, {
+        name: argName,
+        description: existing?.description || description || undefined,
+        required: (existing?.required ?? false) || !optional
+      });
+    }
+
+    return {
+      note,
+      prompt: {
+        name,
+        description: this.describeNote(note),
+        arguments: [...args.values()]
+      }
+    };
+  }
+
+  /**
+   * Use the note title plus its first line of prose as the prompt description
+   */
+  describeNote(note) {
+    const firstLine = (note.content || '')
+      .split('\n')
+      .map(line => line.trim())
+      .find(line => line && !line.startsWith('#') && !line.includes('{{'));
+
+    if (!firstLine) {
+      return note.title ?? undefined;
+    }
+
+    const summary = firstLine.length > 200 ? `${firstLine.slice(0, 197)}...` : firstLine;
+    return note.title ? `${note.title}: ${summary}` : summary;
+  }
+
+  /**
+   * Substitute placeholders with argument values (missing optional ones become empty)
+   */
+  renderTemplate(content, args) {
+    return content.replace(PLACEHOLDER_PATTERN, (match, argName) => {
+      const value = args[argName];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Resolve embedded note references in the template into resource messages
+   */
+  async buildEmbeddedMessages(projectId, template) {
+    const references = [...new Set([...template.matchAll(EMBED_PATTERN)].map(match => match[1].trim()))];
+    const messages = [];
+
+    for (const reference of references) {
+      const note = await this.resolveReference(projectId, reference);
+      if (!note) {
+        continue;
+      }
+
+      messages.push({
+        role: 'user',
+        content: {
+          type: 'resource',
+          resource: {
+            uri: `knowledge://note/${encodeURIComponent(note.id)}`,
+            mimeType: 'text/markdown',
+            text: `# ${note.title}\n\n${note.content || ''}`
+          }
+        }
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Resolve a reference by note ID/hash first, then by exact title
+   */
+  async resolveReference(projectId, reference) {
+    const byId = await this.tryFetchNote(projectId, reference);
+    if (byId) {
+      return byId;
+    }
+
+    try {
+      const queryParams = new URLSearchParams({ q: reference, limit: 10 });
+      const endpoint = this.getProjectEndpoint(projectId, `/notes/search?${queryParams}`);
+      const result = await this.apiRequest(endpoint);
+      const hits = result.data?.results || result.data;
+      if (!Array.isArray(hits)) {
+        return null;
+      }
+
+      const match = hits
+        .map(hit => hit.note || hit)
+        .find(note => note.title?.toLowerCase() === reference.toLowerCase());
+
+      return match ? (await this.tryFetchNote(projectId, match.id) || match) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Turn a note title into a prompt name
+   */
+  slugify(title) {
+    return String(title ?? '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+export default PromptHandler;
@@ -0,0 +1,134 @@
+import BaseHandler from './BaseHandler.js';
+import MarkdownFormatter from '../utils/MarkdownFormatter.js';
+
+/**
+ * Resource Handler
+ *
+ * Implements MCP resource templates for individual notes, virtual folders
+ * and tags, so clients can attach knowledge base content as context.
+ * Resolves through the existing notes endpoints and returns markdown.
+ */
+class ResourceHandler extends BaseHandler {
+  constructor(config) {
+    super(config);
+    this.listLimit = config.resources?.listLimit || 100;
+    this.markdown = new MarkdownFormatter();
+    this.templates = {
+      note: 'knowledge://note/',
+      folder: 'knowledge://folder/',
+      tag: 'knowledge://tag/'
+    };
+  }
+
+  /**
+   * Get resource templates provided by this handler
+   */
+  getResourceTemplates() {
+    return [
+      {
+        uriTemplate: 'knowledge://note/{id}',
+        name: 'Note',
+        description: 'A single note by stable ID or content hash, as markdown',
+        mimeType: 'text/markdown'
+      },
+      {
+        uriTemplate: 'knowledge://folder/{path}',
+        name: 'Virtual Folder',
+        description: 'Index of the notes in a virtual folder, as markdown',
+        mimeType: 'text/markdown'
+      },
+      {
+        uriTemplate: 'knowledge://tag/{tag}',
+        name: 'Tag',
+        description: 'Index of the notes carrying a tag, as markdown',
+        mimeType: 'text/markdown'
+      }
+    ];
+  }
+
+  /**
+   * Check if handler can read a specific resource URI
+   */
+  canReadResource(uri) {
+    return Object.values(this.templates).some(prefix => uri.startsWith(prefix) && uri.length > prefix.length);
+  }
+
+  /**
+   * Read a templated resource
+   */
+  async readResource(uri, context) {
+    const projectId = context.currentProject;
+    const [type, value] = this.parseUri(uri);
+
+    let text;
+    switch (type) {
+      case 'note':
+        text = await this.readNote(projectId, value);
+        break;
+
+      case 'folder':
+        text = await this.readNoteIndex(projectId, { virtual_folder: value }, `Folder: ${value}`);
+        break;
+
+      case 'tag':
+        text = await this.readNoteIndex(projectId, { tags: value }, `Tag: #${value}`);
+        break;
+
+      default:
+        throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/markdown',
+          text
+        }
+      ]
+    };
+  }
+
+  /**
+   * Split a resource URI into its template type and decoded value
+   */
+  parseUri(uri) {
+    for (const [type, prefix] of Object.entries(this.templates)) {
+      if (uri.startsWith(prefix)) {
+        return [type, decodeURIComponent(uri.slice(prefix.length))];
+      }
+    }
+    return [null, null];
+  }
+
+  async readNote(projectId, id) {
+    const endpoint = this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(id)}`);
+    const result = await this.apiRequest(endpoint);
+    return this.markdown.renderNote(result.data);
+  }
+
+  async readNoteIndex(projectId, filters, heading) {
+    const queryParams = new URLSearchParams({ ...filters, limit: this.listLimit });
+    const endpoint = this.getProjectEndpoint(projectId, `/notes?${queryParams}`);
+    const result = await this.apiRequest(endpoint);
+    const notes = result.data?.notes || result.data || [];
+
+    return this.renderNoteIndex(Array.isArray(notes) ? notes : [], heading);
+  }
+
+  /**
+   * Render a list of notes as a markdown index linking to note resources
+   */
+  renderNoteIndex(notes, heading) {
+    const lines = [`# ${heading}`, '', `${notes.length} note${notes.length === 1 ? '' : 's'}`, ''];
+
+    for (const note of notes) {
+      const tags = note.tags?.length ? ` ${note.tags.map(tag => `#${tag}`).join(' ')}` : '';
+      lines.push(`- [${note.title}](${this.templates.note}${encodeURIComponent(note.id)})${tags}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default ResourceHandler;
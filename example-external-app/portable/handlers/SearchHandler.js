@@ -1,4 +1,8 @@
 import BaseHandler from './BaseHandler.js';
+import { ApiError, ServiceUnavailableError } from '../utils/errors.js';
+
+// Graph search statuses meaning the endpoint isn't offered (not that the API is down)
+const GRAPH_UNAVAILABLE_STATUSES = [404, 501];
 
 /**
  * Search Handler
@@ -24,6 +28,11 @@ class SearchHandler extends BaseHandler {
       {
         name: 'search',
         description: 'Search notes using keyword, semantic, or hybrid search modes',
+        annotations: {
+          title: 'Search Notes',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -114,6 +123,11 @@ class SearchHandler extends BaseHandler {
       {
         name: 'graph_search',
         description: 'Graph-based search focusing on note relationships and connections',
+        annotations: {
+          title: 'Graph Search',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -261,7 +275,8 @@ class SearchHandler extends BaseHandler {
       
       return this.formatSuccess(result.data, message);
     } catch (error) {
-      if (error.message.includes('embedding') || error.message.includes('ChromaDB')) {
+      // API reachable but its semantic backend (embeddings/ChromaDB) is down
+      if (error instanceof ServiceUnavailableError && error.status !== null) {
         if (mode === 'semantic') {
           return this.formatSuccess(
             { results: [], total: 0 },
@@ -304,8 +319,9 @@ class SearchHandler extends BaseHandler {
         `Found ${resultCount} graph-based results for "${params.query}" ${graphInfo}`
       );
     } catch (error) {
-      // Graceful degradation to keyword search
-      if (error.message.includes('graph') || error.message.includes('relationship')) {
+      // Graceful degradation to keyword search when the API has no graph search.
+      // Timeouts and an open circuit mean the API is struggling: don't add load.
+      if (error instanceof ApiError && GRAPH_UNAVAILABLE_STATUSES.includes(error.status)) {
         console.warn('Graph search falling back to keyword search');
         return await this.search(projectId, {
           ...params,
@@ -1,4 +1,5 @@
 import BaseHandler from './BaseHandler.js';
+import { NotFoundError } from '../utils/errors.js';
 
 /**
  * Stats Handler
@@ -26,6 +27,11 @@ class StatsHandler extends BaseHandler {
       {
         name: 'get_project_stats',
         description: 'Get comprehensive statistics for a specific project',
+        annotations: {
+          title: 'Project Statistics',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -47,6 +53,11 @@ class StatsHandler extends BaseHandler {
       {
         name: 'get_system_stats',
         description: 'Get system-wide statistics and health information',
+        annotations: {
+          title: 'System Statistics',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -60,6 +71,11 @@ class StatsHandler extends BaseHandler {
       {
         name: 'get_usage_stats',
         description: 'Get usage statistics for a project',
+        annotations: {
+          title: 'Usage Statistics',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -73,6 +89,11 @@ class StatsHandler extends BaseHandler {
       {
         name: 'get_folder_stats',
         description: 'Get statistics for a virtual folder',
+        annotations: {
+          title: 'Folder Statistics',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
         inputSchema: {
           type: 'object',
           properties: {
@@ -145,7 +166,7 @@ class StatsHandler extends BaseHandler {
       return this.formatSuccess(result, 'Retrieved system statistics');
     } catch (error) {
       // If system stats endpoint doesn't exist, build basic stats
-      if (error.message.includes('404')) {
+      if (error instanceof NotFoundError) {
         return await this.buildBasicSystemStats();
       }
       throw error;
@@ -161,7 +182,7 @@ class StatsHandler extends BaseHandler {
       const result = await this.apiRequest(endpoint);
       return this.formatSuccess(result, `Retrieved usage statistics for project: ${projectId}`);
     } catch (error) {
-      if (error.message.includes('404')) {
+      if (error instanceof NotFoundError) {
         return this.formatSuccess(
           {
             available: false,
@@ -185,7 +206,7 @@ class StatsHandler extends BaseHandler {
       const result = await this.apiRequest(endpoint);
       return this.formatSuccess(result, `Retrieved statistics for folder: ${params.folder}`);
     } catch (error) {
-      if (error.message.includes('404')) {
+      if (error instanceof NotFoundError) {
         return this.formatSuccess(
           {
             available: false,
@@ -0,0 +1,260 @@
+import BaseHandler from './BaseHandler.js';
+import BulkNotes from '../utils/BulkNotes.js';
+import NoteTags from '../utils/NoteTags.js';
+import NoteVersions from '../utils/NoteVersions.js';
+
+/**
+ * Tag Handler
+ *
+ * Implements MCP tools for the project's tag vocabulary: an overview with
+ * counts and co-occurring tags, and renaming, merging or deleting a tag
+ * across every note that carries it. Tag rewrites run like the bulk tools:
+ * bounded concurrency, one result per note, dry run and undo history.
+ */
+class TagHandler extends BaseHandler {
+  constructor(config, { versions = null } = {}) {
+    super(config);
+    this.versions = versions || new NoteVersions(config.concurrency);
+    this.bulk = new BulkNotes({
+      ...config.bulk,
+      request: async (projectId, path) => (await this.apiRequest(this.getProjectEndpoint(projectId, path))).data
+    });
+    this.tags = new NoteTags(this.bulk);
+    this.tools = [
+      'list_tags',
+      'rename_tag',
+      'merge_tags',
+      'delete_tag'
+    ];
+  }
+
+  canHandleTool(toolName) {
+    return this.tools.includes(toolName);
+  }
+
+  getTools() {
+    const tag = description => ({
+      type: 'string',
+      description,
+      minLength: 1
+    });
+    const common = {
+      changed_by: {
+        type: 'string',
+        description: 'Change author identifier (defaults to "mcp")'
+      },
+      concurrency: {
+        type: 'number',
+        description: 'Requests run in parallel (default: 4)',
+        minimum: 1,
+        maximum: 10
+      },
+      projectId: {
+        type: 'string',
+        description: 'Project ID (defaults to current project)'
+      },
+      dry_run: {
+        type: 'boolean',
+        description: 'Return the requests that would be sent and their predicted effect without changing anything (default: false)'
+      }
+    };
+    const rewrite = title => ({
+      title,
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false
+    });
+
+    return [
+      {
+        name: 'list_tags',
+        description: 'List the tags used in the project with how many notes carry each, the tags they most often appear with, and likely duplicates (same tag in another case or spelling)',
+        annotations: {
+          title: 'List Tags',
+          readOnlyHint: true,
+          openWorldHint: false
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            virtual_folder: {
+              type: 'string',
+              description: 'Only count notes in this virtual folder'
+            },
+            min_count: {
+              type: 'number',
+              description: 'Only tags on at least this many notes (default: 1)',
+              minimum: 1,
+              default: 1
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of tags to return, most used first (default: 100)',
+              minimum: 1,
+              maximum: 1000,
+              default: 100
+            },
+            related: {
+              type: 'number',
+              description: 'Co-occurring tags listed per tag; 0 for none (default: 5)',
+              minimum: 0,
+              maximum: 20,
+              default: 5
+            },
+            projectId: common.projectId
+          }
+        }
+      },
+      {
+        name: 'rename_tag',
+        description: 'Rename a tag on every note that carries it',
+        annotations: rewrite('Rename Tag'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tag: tag('Tag to rename'),
+            new_tag: tag('New tag name (notes that already have it keep one copy)'),
+            ...common
+          },
+          required: ['tag', 'new_tag']
+        }
+      },
+      {
+        name: 'merge_tags',
+        description: 'Replace several tags with one on every note that carries any of them',
+        annotations: rewrite('Merge Tags'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tags: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              description: 'Tags to merge away',
+              minItems: 1
+            },
+            into: tag('Tag that replaces them'),
+            ...common
+          },
+          required: ['tags', 'into']
+        }
+      },
+      {
+        name: 'delete_tag',
+        description: 'Remove a tag from every note that carries it (the notes are kept)',
+        annotations: rewrite('Delete Tag'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tag: tag('Tag to remove'),
+            ...common
+          },
+          required: ['tag']
+        }
+      }
+    ];
+  }
+
+  async handleTool(toolName, params, context) {
+    const projectId = params.projectId || context.currentProject;
+
+    try {
+      switch (toolName) {
+        case 'list_tags':
+          return await this.listTags(projectId, params);
+
+        case 'rename_tag':
+          this.validateParams(params, ['tag', 'new_tag']);
+          if (params.tag === params.new_tag) {
+            throw new Error('new_tag is the same as tag');
+          }
+          return await this.rewriteTags(projectId, toolName, params, context, [params.tag], params.new_tag,
+            `Renamed "${params.tag}" to "${params.new_tag}" on`);
+
+        case 'merge_tags': {
+          this.validateParams(params, ['tags', 'into']);
+          const sources = [...new Set(params.tags)].filter(source => source !== params.into);
+          if (sources.length === 0) {
+            throw new Error('Nothing to merge: tags only lists the target tag');
+          }
+          return await this.rewriteTags(projectId, toolName, params, context, sources, params.into,
+            `Merged ${sources.map(source => `"${source}"`).join(', ')} into "${params.into}" on`);
+        }
+
+        case 'delete_tag':
+          this.validateParams(params, ['tag']);
+          return await this.rewriteTags(projectId, toolName, params, context, [params.tag], null,
+            `Removed "${params.tag}" from`);
+
+        default:
+          throw new Error(`Unknown tool: ${toolName}`);
+      }
+    } catch (error) {
+      return this.formatError(error, toolName);
+    }
+  }
+
+  async listTags(projectId, params) {
+    const overview = await this.tags.overview(projectId, {
+      virtualFolder: params.virtual_folder,
+      minCount: params.min_count || 1,
+      limit: params.limit || 100,
+      related: params.related ?? 5,
+      maxNotes: this.config.pagination?.maxItems // Scan as far as a full listing goes
+    });
+
+    const duplicates = overview.possible_duplicates.length;
+    return this.formatSuccess(
+      overview,
+      `Found ${overview.total_tags} tag${overview.total_tags === 1 ? '' : 's'} on ${overview.scanned} notes` +
+        (duplicates > 0 ? `; ${duplicates} group${duplicates === 1 ? '' : 's'} of likely duplicates (see possible_duplicates)` : '')
+    );
+  }
+
+  /**
+   * rename_tag / merge_tags / delete_tag: replace `sources` with `target`
+   * (or drop them) on every note carrying one of them. `action` starts
+   * the result message ("Renamed "a" to "b" on")
+   */
+  async rewriteTags(projectId, toolName, params, context, sources, target, action) {
+    const updates = await this.tags.plan(projectId, sources, target);
+    const changedBy = params.changed_by || 'mcp';
+    const requests = updates.map(({ note, body }) => ({
+      method: 'PUT',
+      endpoint: this.getProjectEndpoint(projectId, `/notes/${encodeURIComponent(note.id)}`),
+      body: { ...body, changed_by: changedBy }
+    }));
+
+    if (this.isDryRun(params)) {
+      const effect = { updates: updates.map(({ note, changes }) => ({ id: note.id, title: note.title ?? null, changes })) };
+      return this.formatDryRun(requests, effect, `Would rewrite tags on ${this.count(updates.length)}`);
+    }
+
+    if (target === null) {
+      await this.confirmAction(context, `Remove tag "${sources[0]}" from ${this.count(updates.length)}?`);
+    }
+
+    const outcomes = await this.bulk.run(requests, async (request, index) => {
+      const { note } = updates[index];
+      const result = await this.apiRequest(request.endpoint, { method: request.method, body: request.body });
+      context?.changes?.record({ tool: toolName, action: 'update', projectId, noteId: note.id, before: note });
+      this.getVersions().remember(projectId, result.data, { changedBy });
+    }, { concurrency: params.concurrency });
+
+    const results = updates.map(({ note, changes }, index) => outcomes[index].status === 'fulfilled'
+      ? { id: note.id, title: note.title ?? null, status: 'updated', changes }
+      : { id: note.id, title: note.title ?? null, status: 'failed', error: outcomes[index].reason.message });
+    const summary = this.bulk.summarize(results);
+
+    return this.formatSuccess(
+      { results, summary },
+      `${action} ${summary.updated || 0} of ${this.count(results.length)}${summary.failed ? ` (${summary.failed} failed)` : ''}`
+    );
+  }
+
+  count(n) {
+    return `${n} note${n === 1 ? '' : 's'}`;
+  }
+}
+
+export default TagHandler;
@@ -7,24 +7,42 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import HttpTransportServer from './transports/HttpTransportServer.js';
+import SubscriptionManager from './utils/SubscriptionManager.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
   GetPromptRequestSchema,
-  ListPromptsRequestSchema
+  ListPromptsRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 
 // Import handlers (copied from main app)
+import BaseHandler from './handlers/BaseHandler.js';
 import NoteHandler from './handlers/NoteHandler.js';
 import SearchHandler from './handlers/SearchHandler.js';
 import ProjectHandler from './handlers/ProjectHandler.js';
 import StatsHandler from './handlers/StatsHandler.js';
 import CrossReferenceHandler from './handlers/CrossReferenceHandler.js';
+import PromptHandler from './handlers/PromptHandler.js';
+import ResourceHandler from './handlers/ResourceHandler.js';
+import ChangeHandler from './handlers/ChangeHandler.js';
+import HistoryHandler from './handlers/HistoryHandler.js';
+import BulkHandler from './handlers/BulkHandler.js';
+import TagHandler from './handlers/TagHandler.js';
+import MarkdownFormatter from './utils/MarkdownFormatter.js';
+import { getOutputSchema } from './utils/outputSchemas.js';
+import SchemaValidator from './utils/SchemaValidator.js';
+import AccessControl from './utils/AccessControl.js';
+import SessionChanges from './utils/SessionChanges.js';
+import NoteVersions from './utils/NoteVersions.js';
 
 // Import configuration
-import config from './config.js';
+import config, { mergeConfig } from './config.js';
 
 /**
  * Portable Knowledge AI MCP Server
@@ -35,12 +53,111 @@ import config from './config.js';
  */
 class PortableKnowledgeAiMcpServer {
   constructor(customConfig = {}) {
-    this.config = {
-      ...config,
-      ...customConfig
+    this.config = mergeConfig(config, customConfig);
+
+    this.httpTransport = null;
+
+    // Extract project from API key if not explicitly set
+    this.currentProject = this.config.projectId || this.extractProjectFromApiKey(this.config.apiKey);
+    
+    // Multi-tenant HTTP servers may run without a key of their own
+    const perSessionKeysOnly = this.config.mcp.transport === 'http' && this.config.mcp.http.requireAuth;
+    if (!this.currentProject && !perSessionKeysOnly) {
+      throw new Error('No valid project found. Set PROJECT_ID or use API key format: role-project-secret');
+    }
+
+    // Initialize handlers with API configuration. Note versions (update
+    // conflict checks, writes and the history fallback) come with the session.
+    this.handlers = {
+      note: new NoteHandler(this.config),
+      search: new SearchHandler(this.config),
+      project: new ProjectHandler(this.config),
+      stats: new StatsHandler(this.config),
+      crossReference: new CrossReferenceHandler(this.config),
+      change: new ChangeHandler(this.config),
+      history: new HistoryHandler(this.config),
+      bulk: new BulkHandler(this.config),
+      tag: new TagHandler(this.config),
+      prompt: new PromptHandler(this.config),
+      resource: new ResourceHandler(this.config)
     };
 
-    this.server = new Server(
+    this.subscriptions = new SubscriptionManager(this.config, this.log.bind(this));
+    this.markdown = new MarkdownFormatter();
+    this.validator = new SchemaValidator();
+    this.access = new AccessControl(this.config, this.log.bind(this));
+    this.toolDefinitions = null;
+    this.noteVersions = new Map(); // API key -> { versions, sessions }, so note content never crosses tenants
+
+    // Primary server instance (stdio); HTTP sessions each get their own
+    this.server = this.createMcpServer();
+  }
+
+  /**
+   * Build the per-session context: which API key and project handlers use,
+   * the session's undo history and the note versions seen with its key
+   */
+  createSessionContext({ apiKey, projectId } = {}) {
+    const changes = new SessionChanges({ maxEntries: this.config.mcp.undoHistory });
+
+    // Sessions on the server's own key stay on the server's project
+    if (!apiKey || apiKey === this.config.apiKey) {
+      return {
+        apiKey: this.config.apiKey,
+        currentProject: this.currentProject,
+        changes,
+        versions: this.getNoteVersions(this.config.apiKey)
+      };
+    }
+
+    const currentProject = projectId || this.extractProjectFromApiKey(apiKey);
+    if (!currentProject) {
+      throw new Error('No valid project found for session. Send X-Project-Id or use API key format: role-project-secret');
+    }
+
+    return { apiKey, currentProject, changes, versions: this.getNoteVersions(apiKey) };
+  }
+
+  /**
+   * Note versions for an API key (entries inside are per project), shared
+   * by that key's sessions
+   */
+  getNoteVersions(apiKey) {
+    const key = apiKey || '';
+    if (!this.noteVersions.has(key)) {
+      this.noteVersions.set(key, { versions: new NoteVersions(this.config.concurrency), sessions: 0 });
+    }
+    return this.noteVersions.get(key).versions;
+  }
+
+  /**
+   * Count an open session on an API key's note versions; call the returned
+   * function when it closes. A tenant key's versions are dropped with its
+   * last session; the server's own key keeps them for stdio and direct calls.
+   */
+  holdNoteVersions(apiKey) {
+    const key = apiKey || '';
+    this.getNoteVersions(key);
+    const entry = this.noteVersions.get(key);
+    entry.sessions++;
+
+    let held = true;
+    return () => {
+      if (!held) return;
+      held = false;
+      entry.sessions--;
+      if (entry.sessions === 0 && key !== (this.config.apiKey || '') && this.noteVersions.get(key) === entry) {
+        this.noteVersions.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Create an MCP server instance with all request handlers registered.
+   * One instance is needed per connected transport.
+   */
+  createMcpServer(session = this.createSessionContext()) {
+    const server = new Server(
       {
         name: this.config.mcp.name,
         version: this.config.mcp.version,
@@ -48,36 +165,166 @@ class PortableKnowledgeAiMcpServer {
       {
         capabilities: {
           tools: {},
-          resources: {},
+          resources: {
+            subscribe: true,
+            listChanged: true
+          },
           prompts: {}
         },
       }
     );
 
-    // Extract project from API key if not explicitly set
-    this.currentProject = this.config.projectId || this.extractProjectFromApiKey();
-    
-    if (!this.currentProject) {
-      throw new Error('No valid project found. Set PROJECT_ID or use API key format: role-project-secret');
+    const releaseVersions = this.holdNoteVersions(session.apiKey);
+    server.onclose = () => {
+      releaseVersions();
+      this.subscriptions.release(server).catch(() => {});
+    };
+
+    this.setupHandlers(server, session);
+    return server;
+  }
+
+  /**
+   * Validate and run a tool call for a session
+   */
+  async callTool(name, args, session = this.createSessionContext(), server = null) {
+    try {
+      const tool = this.getToolDefinitions().get(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      await this.access.assertAllowed(name, session.apiKey);
+
+      // Reject malformed arguments before they reach a handler
+      const params = this.validator.validate(name, tool.inputSchema, args);
+
+      // Find handler for tool
+      for (const handler of Object.values(this.handlers)) {
+        if (handler.canHandleTool && handler.canHandleTool(name)) {
+          const result = await BaseHandler.runWithContext(session, () =>
+            handler.handleTool(name, params, {
+              currentProject: session.currentProject,
+              changes: session.changes,
+              confirm: message => this.confirmAction(server, message),
+              authorize: (permission, action) => this.access.assertPermission(permission, session.apiKey, action)
+            })
+          );
+          
+          return this.formatToolResult(name, result, params.format);
+        }
+      }
+
+      throw new Error(`Unknown tool: ${name}`);
+
+    } catch (error) {
+      this.log('error', `Tool execution failed: ${name} - ${error.message}`);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              error: error.message,
+              ...(error.errors && { fields: error.errors }),
+              tool: name,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
     }
+  }
 
-    // Initialize handlers with API configuration
-    this.handlers = {
-      note: new NoteHandler(this.config),
-      search: new SearchHandler(this.config),
-      project: new ProjectHandler(this.config),
-      stats: new StatsHandler(this.config),
-      crossReference: new CrossReferenceHandler(this.config)
+  /**
+   * Ask the user to confirm a destructive action through MCP elicitation.
+   * Resolves true without asking when confirmations are off or the client
+   * can't elicit.
+   */
+  async confirmAction(server, message) {
+    if (!this.config.mcp.confirmDestructive || !server?.getClientCapabilities()?.elicitation) {
+      return true;
+    }
+
+    const result = await server.elicitInput({
+      message,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: {
+            type: 'boolean',
+            title: 'Confirm',
+            description: 'Proceed with this change'
+          }
+        },
+        required: ['confirm']
+      }
+    }, { timeout: this.config.mcp.confirmTimeout });
+
+    return result.action === 'accept' && result.content?.confirm === true;
+  }
+
+  /**
+   * All tool definitions by name, collected once from the handlers
+   */
+  getToolDefinitions() {
+    if (!this.toolDefinitions) {
+      this.toolDefinitions = new Map();
+      for (const handler of Object.values(this.handlers)) {
+        if (handler.getTools) {
+          for (const tool of handler.getTools()) {
+            this.toolDefinitions.set(tool.name, this.describeTool(tool));
+          }
+        }
+      }
+    }
+    return this.toolDefinitions;
+  }
+
+  /**
+   * Add the server-wide `format` argument and output schema to a tool definition
+   */
+  describeTool(tool) {
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          format: {
+            type: 'string',
+            enum: ['json', 'markdown'],
+            description: `Text rendering of the result: json or compact markdown (default: ${this.config.responses.format})`
+          }
+        }
+      },
+      outputSchema: getOutputSchema(tool.name)
     };
+  }
 
-    this.setupHandlers();
+  /**
+   * Build a CallTool result: text in the requested format plus the result as structuredContent
+   */
+  formatToolResult(name, result, format = this.config.responses.format) {
+    const text = format === 'markdown'
+      ? this.markdown.format(name, result)
+      : JSON.stringify(result, null, 2);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text
+        }
+      ],
+      structuredContent: result
+    };
   }
 
   /**
    * Extract project from API key format (role-project-secret)
    */
-  extractProjectFromApiKey() {
-    const apiKey = this.config.apiKey;
+  extractProjectFromApiKey(apiKey) {
     if (!apiKey) {
       return null;
     }
@@ -91,69 +338,23 @@ class PortableKnowledgeAiMcpServer {
   }
 
   /**
-   * Setup MCP request handlers
+   * Setup MCP request handlers for one session
    */
-  setupHandlers() {
+  setupHandlers(server, session) {
     // Tools handler
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      const tools = [];
-      
-      // Collect tools from all handlers
-      for (const handler of Object.values(this.handlers)) {
-        if (handler.getTools) {
-          tools.push(...handler.getTools());
-        }
-      }
-
-      return { tools };
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const tools = [...this.getToolDefinitions().values()];
+      return { tools: await this.access.filterTools(tools, session.apiKey) };
     });
 
     // Tool execution handler
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
-
-      try {
-        // Find handler for tool
-        for (const handler of Object.values(this.handlers)) {
-          if (handler.canHandleTool && handler.canHandleTool(name)) {
-            const result = await handler.handleTool(name, args, {
-              currentProject: this.currentProject
-            });
-            
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(result, null, 2)
-                }
-              ]
-            };
-          }
-        }
-
-        throw new Error(`Unknown tool: ${name}`);
-
-      } catch (error) {
-        this.log('error', `Tool execution failed: ${name} - ${error.message}`);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                error: error.message,
-                tool: name,
-                timestamp: new Date().toISOString()
-              }, null, 2)
-            }
-          ],
-          isError: true
-        };
-      }
+      return await this.callTool(name, args, session, server);
     });
 
     // Resources handler
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return {
         resources: [
           {
@@ -178,86 +379,155 @@ class PortableKnowledgeAiMcpServer {
       };
     });
 
+    // Resource templates handler
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      const resourceTemplates = [];
+
+      for (const handler of Object.values(this.handlers)) {
+        if (handler.getResourceTemplates) {
+          resourceTemplates.push(...handler.getResourceTemplates());
+        }
+      }
+
+      return { resourceTemplates };
+    });
+
     // Resource reading handler
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const { uri } = request.params;
 
       try {
-        switch (uri) {
-          case 'knowledge://project/current':
-            return {
-              contents: [
-                {
-                  uri,
-                  mimeType: 'application/json',
-                  text: JSON.stringify({
-                    currentProject: this.currentProject,
-                    apiUrl: this.config.apiUrl,
-                    timestamp: new Date().toISOString(),
-                    mode: 'portable'
-                  }, null, 2)
-                }
-              ]
-            };
-
-          case 'knowledge://system/health':
-            const health = await this.getSystemHealth();
-            return {
-              contents: [
-                {
-                  uri,
-                  mimeType: 'application/json',
-                  text: JSON.stringify(health, null, 2)
-                }
-              ]
-            };
-
-          case 'knowledge://portable/info':
-            return {
-              contents: [
-                {
-                  uri,
-                  mimeType: 'application/json',
-                  text: JSON.stringify({
-                    name: 'Knowledge AI MCP Portable',
-                    version: this.config.mcp.version,
-                    project: this.currentProject,
-                    apiUrl: this.config.apiUrl,
-                    handlers: Object.keys(this.handlers),
-                    capabilities: [
-                      'Full API access via copied MCP handlers',
-                      'Webhook notifications for database changes',
-                      'Project isolation and authentication',
-                      'All 20+ Knowledge AI MCP tools'
-                    ]
-                  }, null, 2)
-                }
-              ]
-            };
-
-          default:
-            throw new Error(`Unknown resource: ${uri}`);
-        }
+        return await this.readResource(uri, session);
       } catch (error) {
         throw new Error(`Failed to read resource ${uri}: ${error.message}`);
       }
     });
 
-    // Prompts handler (placeholder for future use)
-    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
-      return { prompts: [] };
+    // Resource subscriptions (driven by the webhook feed)
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.subscriptions.subscribe(server, session, request.params.uri);
+      return {};
     });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      await this.subscriptions.unsubscribe(server, request.params.uri);
+      return {};
+    });
+
+    // Prompts handler (notes in the prompt library folder)
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      const prompts = [];
+
+      for (const handler of Object.values(this.handlers)) {
+        if (handler.listPrompts) {
+          try {
+            const handlerPrompts = await BaseHandler.runWithContext(session, () =>
+              handler.listPrompts({ currentProject: session.currentProject })
+            );
+            prompts.push(...handlerPrompts);
+          } catch (error) {
+            this.log('error', `Failed to list prompts: ${error.message}`);
+          }
+        }
+      }
+
+      return { prompts };
+    });
+
+    // Prompt rendering handler
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      for (const handler of Object.values(this.handlers)) {
+        if (handler.getPrompt) {
+          return await BaseHandler.runWithContext(session, () =>
+            handler.getPrompt(name, args || {}, { currentProject: session.currentProject })
+          );
+        }
+      }
+
+      throw new Error(`Unknown prompt: ${name}`);
+    });
+  }
+
+  /**
+   * Read a resource for a session
+   */
+  async readResource(uri, session) {
+    switch (uri) {
+      case 'knowledge://project/current':
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify({
+                currentProject: session.currentProject,
+                apiUrl: this.config.apiUrl,
+                timestamp: new Date().toISOString(),
+                mode: 'portable'
+              }, null, 2)
+            }
+          ]
+        };
+
+      case 'knowledge://system/health':
+        const health = await this.getSystemHealth(session);
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify(health, null, 2)
+            }
+          ]
+        };
+
+      case 'knowledge://portable/info':
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify({
+                name: 'Knowledge AI MCP Portable',
+                version: this.config.mcp.version,
+                project: session.currentProject,
+                apiUrl: this.config.apiUrl,
+                handlers: Object.keys(this.handlers),
+                capabilities: [
+                  'Full API access via copied MCP handlers',
+                  'Webhook notifications for database changes',
+                  'Project isolation and authentication',
+                  'All 20+ Knowledge AI MCP tools'
+                ]
+              }, null, 2)
+            }
+          ]
+        };
+
+      default:
+        // Templated resources (notes, folders, tags)
+        for (const handler of Object.values(this.handlers)) {
+          if (handler.canReadResource && handler.canReadResource(uri)) {
+            return await BaseHandler.runWithContext(session, () =>
+              handler.readResource(uri, { currentProject: session.currentProject })
+            );
+          }
+        }
+        throw new Error(`Unknown resource: ${uri}`);
+    }
   }
 
   /**
    * Get system health status
    */
-  async getSystemHealth() {
+  async getSystemHealth(session = this.createSessionContext()) {
     try {
       // Test connection to main API
       const response = await fetch(`${this.config.apiUrl}/health`, {
         headers: {
-          'X-API-Key': this.config.apiKey,
+          'X-API-Key': session.apiKey,
           'User-Agent': 'Knowledge-AI-MCP-Portable/1.0'
         }
       });
@@ -268,7 +538,7 @@ class PortableKnowledgeAiMcpServer {
 
       return {
         status: 'healthy',
-        currentProject: this.currentProject,
+        currentProject: session.currentProject,
         api: {
           url: this.config.apiUrl,
           accessible: true,
@@ -280,7 +550,7 @@ class PortableKnowledgeAiMcpServer {
     } catch (error) {
       return {
         status: 'degraded',
-        currentProject: this.currentProject,
+        currentProject: session.currentProject,
         api: {
           url: this.config.apiUrl,
           accessible: false,
@@ -296,10 +566,25 @@ class PortableKnowledgeAiMcpServer {
    * Start the MCP server
    */
   async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    const transportType = this.config.mcp.transport || 'stdio';
+
+    if (transportType === 'http') {
+      this.httpTransport = new HttpTransportServer(
+        this.config,
+        (auth) => this.createMcpServer(this.createSessionContext(auth)),
+        this.log.bind(this)
+      );
+      const url = await this.httpTransport.listen();
+      const { path, ssePath } = this.config.mcp.http;
+      this.log('info', `Streamable HTTP endpoint: ${url}${path} (SSE fallback: ${url}${ssePath})`);
+    } else if (transportType === 'stdio') {
+      const transport = new StdioServerTransport();
+      await this.server.connect(transport);
+    } else {
+      throw new Error(`Unknown MCP transport: ${transportType}. Use 'stdio' or 'http'`);
+    }
     
-    this.log('info', `Knowledge AI MCP Portable Server running for project: ${this.currentProject}`);
+    this.log('info', `Knowledge AI MCP Portable Server running for project: ${this.currentProject || '(per-session API keys)'}`);
     this.log('info', `Connected to API: ${this.config.apiUrl}`);
   }
 
@@ -307,6 +592,13 @@ class PortableKnowledgeAiMcpServer {
    * Close the server and cleanup
    */
   async close() {
+    if (this.httpTransport) {
+      await this.httpTransport.close();
+      this.httpTransport = null;
+    }
+
+    await this.subscriptions.close();
+
     // Cleanup handlers
     for (const handler of Object.values(this.handlers)) {
       if (handler.close) {
@@ -10,8 +10,21 @@
 import PortableKnowledgeAiMcpServer from './index.js';
 import config from './config.js';
 
-// Validate configuration
-if (!config.apiKey) {
+// Transport selection: --transport=<stdio|http> overrides MCP_TRANSPORT
+const transportArg = process.argv.find(arg => arg.startsWith('--transport='));
+if (transportArg) {
+  config.mcp.transport = transportArg.split('=')[1];
+}
+
+if (!['stdio', 'http'].includes(config.mcp.transport)) {
+  console.error(`❌ Error: Unknown MCP transport "${config.mcp.transport}"`);
+  console.error('   Set MCP_TRANSPORT to "stdio" or "http"');
+  process.exit(1);
+}
+
+// Validate configuration (multi-tenant HTTP servers take keys per session)
+const perSessionKeysOnly = config.mcp.transport === 'http' && config.mcp.http.requireAuth;
+if (!config.apiKey && !perSessionKeysOnly) {
   console.error('❌ Error: No API key configured');
   console.error('   Set API_KEY environment variable or edit config.js');
   console.error('   Example: export API_KEY=employee-myproject-secret123');
@@ -0,0 +1,300 @@
+import { createServer } from 'http';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * HTTP Transport Server
+ *
+ * Serves the portable MCP server over the network so several MCP clients can
+ * share one process. Speaks Streamable HTTP on the main endpoint and keeps the
+ * legacy HTTP+SSE endpoints around for clients that don't support it yet.
+ * Every session gets its own MCP Server instance created by `createSession`,
+ * bound to the Knowledge AI API key the client presented when connecting.
+ */
+class HttpTransportServer {
+  constructor(config, createSession, log = () => {}) {
+    this.config = config;
+    this.createSession = createSession;
+    this.log = log;
+    this.httpServer = null;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Start listening on the configured host and port
+   */
+  async listen() {
+    const { host, port } = this.config.mcp.http;
+
+    this.httpServer = createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.log('error', `HTTP transport error: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    return this.getUrl();
+  }
+
+  /**
+   * Base URL the server is reachable at
+   */
+  getUrl() {
+    const address = this.httpServer.address();
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}`;
+  }
+
+  /**
+   * Route an incoming HTTP request to the matching transport
+   */
+  async handleRequest(req, res) {
+    const { path, ssePath, messagesPath } = this.config.mcp.http;
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === path) {
+      return await this.handleStreamableRequest(req, res);
+    }
+
+    if (req.method === 'GET' && url.pathname === ssePath) {
+      return await this.handleSseConnect(req, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === messagesPath) {
+      return await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+    }
+
+    res.writeHead(404);
+    res.end();
+  }
+
+  /**
+   * Streamable HTTP endpoint (POST, GET and DELETE)
+   */
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this.readJsonBody(req, res) : undefined;
+    if (body === null) return;
+
+    const existing = sessionId && this.sessions.get(sessionId);
+    if (existing) {
+      if (!(existing.transport instanceof StreamableHTTPServerTransport)) {
+        return this.sendJsonRpcError(res, 400, -32000, 'Session uses a different transport');
+      }
+      if (!this.authorizeSessionRequest(req, res, existing)) return;
+      return await existing.transport.handleRequest(req, res, body);
+    }
+
+    if (sessionId || req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this.sendJsonRpcError(res, sessionId ? 404 : 400, -32000,
+        sessionId ? 'Session not found' : 'No valid session ID provided');
+    }
+
+    const session = await this.openSession(req, res);
+    if (!session) return;
+
+    const { server, keyHash } = session;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { transport, server, keyHash });
+        this.log('info', `MCP session opened: ${id} (streamable-http)`);
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        this.log('info', `MCP session closed: ${transport.sessionId}`);
+      }
+    };
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // initialize failed: no session was opened, so nothing else will close the server
+      if (!transport.sessionId || !this.sessions.has(transport.sessionId)) {
+        await server.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Legacy SSE stream endpoint
+   */
+  async handleSseConnect(req, res) {
+    const session = await this.openSession(req, res);
+    if (!session) return;
+
+    const { server, keyHash } = session;
+    const transport = new SSEServerTransport(this.config.mcp.http.messagesPath, res);
+
+    this.sessions.set(transport.sessionId, { transport, server, keyHash });
+    this.log('info', `MCP session opened: ${transport.sessionId} (sse)`);
+
+    res.on('close', () => {
+      if (this.sessions.delete(transport.sessionId)) {
+        this.log('info', `MCP session closed: ${transport.sessionId}`);
+        server.close().catch(() => {});
+      }
+    });
+
+    await server.connect(transport);
+  }
+
+  /**
+   * Legacy SSE message endpoint
+   */
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      return this.sendJsonRpcError(res, 404, -32000, 'Session not found');
+    }
+    if (!this.authorizeSessionRequest(req, res, session)) return;
+
+    const body = await this.readJsonBody(req, res);
+    if (body === null) return;
+
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Authenticate a connecting client and create its MCP server.
+   * Responds with an error and returns null when the session can't be opened.
+   */
+  async openSession(req, res) {
+    const auth = this.authenticate(req, res);
+    if (!auth) return null;
+
+    try {
+      const server = await this.createSession(auth);
+      return { server, keyHash: auth.keyHash };
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32001, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract the API key a client presented (Authorization: Bearer or X-API-Key)
+   */
+  getRequestApiKey(req) {
+    const authorization = req.headers['authorization'];
+    if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+      return authorization.slice(7).trim() || null;
+    }
+    return req.headers['x-api-key'] || null;
+  }
+
+  /**
+   * Resolve credentials for a new session. Falls back to the server's own API
+   * key unless authentication is required. Responds 401 and returns null when
+   * no key is available.
+   */
+  authenticate(req, res) {
+    const presentedKey = this.getRequestApiKey(req);
+    const apiKey = presentedKey || (this.config.mcp.http.requireAuth ? null : this.config.apiKey);
+
+    if (!apiKey) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="knowledge-ai"');
+      this.sendJsonRpcError(res, 401, -32001, 'Missing API key. Send "Authorization: Bearer <api-key>"');
+      return null;
+    }
+
+    return {
+      apiKey,
+      projectId: req.headers['x-project-id'] || null,
+      keyHash: this.hashKey(presentedKey)
+    };
+  }
+
+  /**
+   * Ensure follow-up requests on a session come from the same credentials.
+   * Responds 403 and returns false on mismatch.
+   */
+  authorizeSessionRequest(req, res, session) {
+    const keyHash = this.hashKey(this.getRequestApiKey(req));
+    const matches = session.keyHash.length === keyHash.length &&
+      timingSafeEqual(session.keyHash, keyHash);
+
+    if (!matches) {
+      this.sendJsonRpcError(res, 403, -32001, 'API key does not match session');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Hash a presented key so sessions don't keep it around for comparison
+   */
+  hashKey(apiKey) {
+    return createHash('sha256').update(apiKey || '').digest();
+  }
+
+  /**
+   * Read and parse a JSON request body. Responds and returns null when invalid.
+   */
+  async readJsonBody(req, res) {
+    const maxBytes = this.config.mcp.http.maxBodySize;
+    let size = 0;
+    const chunks = [];
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        this.sendJsonRpcError(res, 413, -32000, 'Request body too large');
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32700, 'Parse error');
+      return null;
+    }
+  }
+
+  /**
+   * Send a JSON-RPC error response outside of a transport
+   */
+  sendJsonRpcError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null
+    }));
+  }
+
+  /**
+   * Close all sessions and stop listening
+   */
+  async close() {
+    for (const { transport, server } of this.sessions.values()) {
+      await server.close().catch(() => {});
+      await transport.close().catch(() => {});
+    }
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+}
+
+export default HttpTransportServer;
@@ -0,0 +1,178 @@
+import HttpClient from './HttpClient.js';
+import { ApiError, AuthError } from './errors.js';
+
+// Introspection statuses meaning the API has no such endpoint
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// Permission each tool needs; tools not listed only read
+const TOOL_PERMISSIONS = {
+  create_note: 'write',
+  update_note: 'write',
+  replace_section: 'write',
+  append_to_section: 'write',
+  insert_after_heading: 'write',
+  find_replace: 'write',
+  bulk_create_notes: 'write',
+  bulk_update_metadata: 'write',
+  bulk_move_to_folder: 'write',
+  rename_tag: 'write',
+  merge_tags: 'write',
+  add_wikilink: 'write',
+  delete_note: 'delete',
+  bulk_delete: 'delete',
+  delete_tag: 'delete',
+  remove_wikilink: 'delete',
+  generate_contexts: 'manage',
+  undo_last_change: 'write',
+  revert_change: 'write'
+};
+
+/**
+ * Access Control
+ *
+ * Decides which tools an API key may see and call. The key's permissions
+ * come from the introspection endpoint when the API offers one, otherwise
+ * from the role prefix of the key (role-project-secret) and the role table
+ * in config.js. Read-only mode and the allow/deny lists apply on top.
+ * Introspected profiles are cached for `cacheTtl` seconds; a key-prefix
+ * fallback is never cached, so introspection is tried again next call.
+ */
+class AccessControl {
+  constructor(config, log = () => {}) {
+    this.options = config.access || {};
+    this.roles = this.options.roles || {};
+    this.log = log;
+    this.http = new HttpClient(config.apiUrl, { ...config.http, retries: 0 });
+    this.cacheTtl = (this.options.cacheTtl ?? 300) * 1000;
+    this.profiles = new Map(); // API key -> { profile: Promise<{ role, permissions, source }>, expiresAt }
+    this.logged = new Map(); // API key -> last logged access summary
+    this.introspectionUnsupportedUntil = 0;
+  }
+
+  /**
+   * Role and permissions of an API key
+   */
+  getProfile(apiKey) {
+    const key = apiKey || '';
+    const cached = this.profiles.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.profile;
+    }
+
+    // Concurrent lookups share the pending one; only introspected profiles stay cached
+    const entry = { profile: this.resolveProfile(apiKey), expiresAt: Infinity };
+    this.profiles.set(key, entry);
+    entry.profile.then(
+      profile => {
+        if (this.profiles.get(key) !== entry) return;
+        if (profile.source === 'introspection') entry.expiresAt = Date.now() + this.cacheTtl;
+        else this.profiles.delete(key);
+      },
+      () => {
+        if (this.profiles.get(key) === entry) this.profiles.delete(key);
+      }
+    );
+    return entry.profile;
+  }
+
+  async resolveProfile(apiKey) {
+    let profile = await this.introspect(apiKey);
+    if (!profile) {
+      const role = this.roleFromKey(apiKey);
+      profile = { role, permissions: this.roles[role] || null, source: 'key' };
+    }
+
+    const permissions = profile.permissions ? profile.permissions.join(', ') : 'unrestricted';
+    const summary = `Tool access for role ${profile.role || 'unknown'} (from ${profile.source}): ${permissions}`;
+    if (this.logged.get(apiKey || '') !== summary) {
+      this.logged.set(apiKey || '', summary);
+      this.log('info', summary);
+    }
+    return profile;
+  }
+
+  async introspect(apiKey) {
+    if (!this.options.introspectionPath || !apiKey) return null;
+    if (Date.now() < this.introspectionUnsupportedUntil) return null;
+
+    try {
+      const response = await this.http.request(this.options.introspectionPath, {
+        headers: { 'X-API-Key': apiKey }
+      });
+      const body = await response.json();
+      const info = body?.data || body || {};
+
+      if (!info.role && !Array.isArray(info.permissions)) return null;
+
+      return {
+        role: info.role || null,
+        permissions: Array.isArray(info.permissions) ? info.permissions : this.roles[info.role] || null,
+        source: 'introspection'
+      };
+    } catch (error) {
+      // Endpoint not offered - don't ask again until the cache TTL passes
+      if (error instanceof ApiError && UNSUPPORTED_STATUSES.includes(error.status)) {
+        this.introspectionUnsupportedUntil = Date.now() + this.cacheTtl;
+      }
+      // Not offered or unreachable - fall back to the key format
+      return null;
+    }
+  }
+
+  roleFromKey(apiKey) {
+    const parts = (apiKey || '').split('-');
+    return parts.length >= 3 ? parts[0] : null;
+  }
+
+  getToolPermission(toolName) {
+    return TOOL_PERMISSIONS[toolName] || 'read';
+  }
+
+  /**
+   * Why a tool is unavailable for a profile, or null when it may be used
+   */
+  getDenialReason(toolName, profile) {
+    const { allow = [], deny = [], readOnly } = this.options;
+    const permission = this.getToolPermission(toolName);
+
+    if (allow.length > 0 && !allow.includes(toolName)) return 'not in the allowed tool list';
+    if (deny.includes(toolName)) return 'denied by server configuration';
+    if (readOnly && permission !== 'read') return 'the server is in read-only mode';
+    if (profile.permissions && !profile.permissions.includes(permission)) {
+      return `requires ${permission} permission${profile.role ? ` (API key role: ${profile.role})` : ''}`;
+    }
+    return null;
+  }
+
+  /**
+   * Throw an AuthError (403) when an API key lacks a permission that only
+   * some calls of a tool need (undoing a create deletes a note)
+   */
+  async assertPermission(permission, apiKey, action) {
+    const profile = await this.getProfile(apiKey);
+    if (profile.permissions && !profile.permissions.includes(permission)) {
+      throw new AuthError(`Not allowed to ${action}: requires ${permission} permission${profile.role ? ` (API key role: ${profile.role})` : ''}`, { status: 403 });
+    }
+  }
+
+  /**
+   * Tools from a list that an API key may use
+   */
+  async filterTools(tools, apiKey) {
+    const profile = await this.getProfile(apiKey);
+    return tools.filter(tool => !this.getDenialReason(tool.name, profile));
+  }
+
+  /**
+   * Throw an AuthError (403) when an API key may not use a tool
+   */
+  async assertAllowed(toolName, apiKey) {
+    const profile = await this.getProfile(apiKey);
+    const reason = this.getDenialReason(toolName, profile);
+    if (reason) {
+      throw new AuthError(`Tool ${toolName} is not available: ${reason}`, { status: 403 });
+    }
+  }
+}
+
+export default AccessControl;
@@ -0,0 +1,162 @@
+// Filter fields for selecting notes (same as list_notes)
+const FILTER_FIELDS = ['virtual_folder', 'tags', 'created_by'];
+
+// Notes per list request while resolving a filter
+const PAGE_SIZE = 100;
+
+/**
+ * Bulk Notes
+ *
+ * Shared groundwork for batch note operations (the bulk_* tools and the
+ * client's bulk methods): resolving the target notes from a list of IDs or
+ * a list_notes filter, planning metadata changes per note, and running
+ * per-note requests with bounded concurrency. `request(projectId, path)`
+ * resolves to the `data` of an API GET response.
+ */
+class BulkNotes {
+  constructor({ request, concurrency = 4, maxItems = 500 }) {
+    this.request = request;
+    this.concurrency = concurrency;
+    this.maxItems = maxItems;
+  }
+
+  /**
+   * Notes selected by `ids` or by `filter` ({ virtual_folder, tags, created_by }).
+   * Returns `{ notes, missing }`; missing lists IDs that couldn't be fetched.
+   */
+  async resolveTargets(projectId, { ids, filter } = {}) {
+    if (ids !== undefined && filter !== undefined) {
+      throw new Error('Pass either ids or filter, not both');
+    }
+
+    if (ids !== undefined) {
+      const unique = ids.filter((id, index) => ids.findIndex(other => String(other) === String(id)) === index);
+      this.checkSize(unique.length, 'ids');
+
+      const fetched = await this.run(unique, id => this.request(projectId, `/notes/${encodeURIComponent(id)}`));
+      const notes = [];
+      const missing = [];
+      fetched.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled' && outcome.value) {
+          notes.push(outcome.value);
+        } else {
+          missing.push({ id: unique[index], error: outcome.reason?.message || 'Note not found' });
+        }
+      });
+      return { notes, missing };
+    }
+
+    if (!filter || !FILTER_FIELDS.some(field => hasValue(filter[field]))) {
+      throw new Error(`Select notes with ids or a filter on at least one of: ${FILTER_FIELDS.join(', ')}`);
+    }
+    return { notes: await this.collectNotes(projectId, filter), missing: [] };
+  }
+
+  /**
+   * All notes matching a list_notes filter (every note of the project for
+   * an empty one), up to `max` (default maxItems)
+   */
+  async collectNotes(projectId, filter = {}, { max = this.maxItems } = {}) {
+    const notes = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      if (filter.virtual_folder) params.append('virtual_folder', filter.virtual_folder);
+      if (filter.created_by) params.append('created_by', filter.created_by);
+      (filter.tags || []).forEach(tag => params.append('tags', tag));
+
+      const data = await this.request(projectId, `/notes?${params}`);
+      const page = Array.isArray(data) ? data : data?.notes || [];
+      notes.push(...page);
+      this.checkSize(notes.length, 'filter', max);
+      if (page.length < PAGE_SIZE) break;
+    }
+    return notes;
+  }
+
+  /**
+   * Metadata update for one note: `{ body, changes }` with only the fields
+   * that actually change, or null when the note already matches.
+   * `tags` replaces the note's tags; `add_tags` / `remove_tags` edit them.
+   */
+  planMetadata(note, { tags, add_tags: addTags = [], remove_tags: removeTags = [], virtual_folder: folder } = {}) {
+    const body = {};
+    const changes = {};
+
+    if (tags !== undefined || addTags.length > 0 || removeTags.length > 0) {
+      const current = note.tags || [];
+      const next = [...(tags ?? current)];
+      for (const tag of addTags) {
+        if (!next.includes(tag)) next.push(tag);
+      }
+      const result = next.filter(tag => !removeTags.includes(tag));
+      if (JSON.stringify(result) !== JSON.stringify(current)) {
+        body.tags = result;
+        changes.tags = { from: current, to: result };
+      }
+    }
+
+    if (folder !== undefined && folder !== (note.virtual_folder || '')) {
+      body.virtual_folder = folder;
+      changes.virtual_folder = { from: note.virtual_folder || '', to: folder };
+    }
+
+    return Object.keys(body).length > 0 ? { body, changes } : null;
+  }
+
+  /**
+   * Run `fn(item, index)` for every item, at most `concurrency` at a time.
+   * Returns Promise.allSettled-style outcomes in item order.
+   */
+  async run(items, fn, { concurrency = this.concurrency } = {}) {
+    const outcomes = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        try {
+          outcomes[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+        } catch (reason) {
+          outcomes[index] = { status: 'rejected', reason };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+    return outcomes;
+  }
+
+  /**
+   * Counts of per-item results by status
+   */
+  /**
+   * Why a note can't be created (it needs a title and string content),
+   * or null when it can
+   */
+  checkNewNote(note) {
+    if (note === null || typeof note !== 'object') return 'Note must be an object';
+    if (typeof note.title !== 'string' || note.title.trim() === '') return 'Note needs a title';
+    if (typeof note.content !== 'string') return 'Note needs content';
+    return null;
+  }
+
+  summarize(results) {
+    const summary = { total: results.length };
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+    return summary;
+  }
+
+  checkSize(count, source, max = this.maxItems) {
+    if (count > max) {
+      throw new Error(`Too many notes: ${source} selects more than ${max}. Narrow it or split the operation`);
+    }
+  }
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '';
+}
+
+export default BulkNotes;
@@ -0,0 +1,206 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Event Journal
+ *
+ * Append-only JSON Lines log of change events received by the client.
+ * Each delivery is recorded when it arrives and again once processed or
+ * given up on, so deliveries can be deduplicated, resumed after a crash and
+ * replayed. Records are fsynced before append() resolves, and the file is
+ * rewritten with only the retained entries every `compactEvery` appends.
+ * Without a path the journal is kept in memory only.
+ */
+class EventJournal {
+  constructor({ path = null, retentionDays = 7, maxEntries = 10000, compactEvery = 1000 } = {}) {
+    this.path = path;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.compactEvery = compactEvery;
+    this.entries = new Map(); // delivery ID -> entry (insertion = arrival order)
+    this.writeChain = Promise.resolve();
+    this.appendsSinceCompact = 0;
+    this.loaded = false;
+  }
+
+  /**
+   * Load the journal from disk, dropping entries past retention
+   */
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    if (!this.path) return;
+
+    let text = '';
+    try {
+      text = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue; // Torn write from a crash
+      }
+
+      if (record.type === 'received') {
+        // A receipt queued behind a compaction may repeat an entry already written
+        if (!this.entries.has(record.id)) {
+          this.entries.set(record.id, { ...record, status: 'pending', attempts: 0 });
+        }
+      } else if (this.entries.has(record.id)) {
+        Object.assign(this.entries.get(record.id), {
+          status: record.type,
+          attempts: record.attempts ?? this.entries.get(record.id).attempts,
+          error: record.error
+        });
+      }
+    }
+
+    this.prune();
+    await this.enqueue(() => this.compact());
+  }
+
+  /**
+   * Whether a delivery has already been recorded
+   */
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Record a newly received delivery
+   */
+  async recordReceived({ id, event, data, source }) {
+    const entry = { id, event, data, source, receivedAt: new Date().toISOString() };
+    this.entries.set(id, { ...entry, status: 'pending', attempts: 0 });
+    this.prune();
+    try {
+      await this.append({ type: 'received', ...entry });
+    } catch (error) {
+      this.entries.delete(id); // Not journaled, so a retry must not count as a duplicate
+      throw error;
+    }
+  }
+
+  async markProcessed(id, attempts) {
+    this.updateEntry(id, { status: 'processed', attempts });
+    await this.append({ type: 'processed', id, attempts, at: new Date().toISOString() });
+  }
+
+  async markFailed(id, attempts, error) {
+    this.updateEntry(id, { status: 'failed', attempts, error });
+    await this.append({ type: 'failed', id, attempts, error, at: new Date().toISOString() });
+  }
+
+  /**
+   * Deliveries that were received but never finished processing
+   */
+  pending() {
+    return [...this.entries.values()].filter(entry => entry.status === 'pending');
+  }
+
+  /**
+   * Deliveries received at or after a point in time, oldest first
+   */
+  since(since) {
+    const from = since instanceof Date ? since.getTime() : new Date(since).getTime();
+    if (Number.isNaN(from)) {
+      throw new Error(`Invalid replay start: ${since}`);
+    }
+    return [...this.entries.values()].filter(entry => new Date(entry.receivedAt).getTime() >= from);
+  }
+
+  updateEntry(id, changes) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      Object.assign(entry, changes);
+    }
+  }
+
+  /**
+   * Write a record durably, after every earlier write. Every `compactEvery`
+   * appends, a compaction is queued behind it.
+   */
+  append(record) {
+    if (!this.path) return Promise.resolve();
+
+    const write = this.enqueue(async () => {
+      await fs.mkdir(dirname(this.path), { recursive: true });
+      await writeSynced(this.path, `${JSON.stringify(record)}\n`, 'a');
+    });
+
+    if (++this.appendsSinceCompact >= this.compactEvery) {
+      this.appendsSinceCompact = 0;
+      this.enqueue(() => {
+        this.prune();
+        return this.compact();
+      }).catch(() => {}); // The file keeps every record; the next compaction retries
+    }
+    return write;
+  }
+
+  /**
+   * Serialize file writes so records land in order. A failed write rejects
+   * its own caller only; later writes still run.
+   */
+  enqueue(task) {
+    const run = this.writeChain.then(task);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Drop entries past retention or over the size cap (oldest first)
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, entry] of this.entries) {
+      const expired = new Date(entry.receivedAt).getTime() < cutoff;
+      if (!expired && this.entries.size <= this.maxEntries) break;
+      this.entries.delete(id);
+    }
+  }
+
+  /**
+   * Rewrite the file with only the retained entries (temp file, then rename).
+   * Runs on the write queue so no append lands in the file being replaced.
+   */
+  async compact() {
+    if (!this.path) return;
+
+    const lines = [];
+    for (const { status, attempts, error, ...entry } of this.entries.values()) {
+      lines.push(JSON.stringify({ type: 'received', ...entry }));
+      if (status !== 'pending') {
+        lines.push(JSON.stringify({ type: status, id: entry.id, attempts, error }));
+      }
+    }
+
+    const tempPath = `${this.path}.tmp`;
+    await fs.mkdir(dirname(this.path), { recursive: true });
+    await writeSynced(tempPath, lines.length ? `${lines.join('\n')}\n` : '', 'w');
+    await fs.rename(tempPath, this.path);
+  }
+}
+
+/**
+ * Write (flag 'w') or append ('a') text and fsync it before resolving
+ */
+async function writeSynced(path, text, flag) {
+  const handle = await fs.open(path, flag);
+  try {
+    await handle.writeFile(text);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+export default EventJournal;
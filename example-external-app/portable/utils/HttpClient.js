@@ -0,0 +1,240 @@
+import {
+  CircuitOpenError,
+  createApiError,
+  parseRetryAfter,
+  readErrorBody,
+  ServiceUnavailableError,
+  TimeoutError
+} from './errors.js';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Statuses whose responses have no body
+const NULL_BODY_STATUSES = [204, 205];
+
+// One breaker per API URL, shared by every handler, client and tenant talking
+// to it. This is intended: only network errors, timeouts and 5xx count as
+// failures, and those mean the shared backend is down for every API key.
+// A tenant's 4xx (bad key, missing note) never opens the circuit.
+const circuitBreakers = new Map();
+
+/**
+ * Circuit Breaker
+ *
+ * Opens after `threshold` consecutive failures and rejects requests for
+ * `cooldown` ms, then lets a single trial request through (half-open).
+ */
+class CircuitBreaker {
+  constructor({ threshold = 5, cooldown = 30000 } = {}) {
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldown ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may be sent now
+   */
+  allowRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * A trial request ended without telling us anything about the API
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.openedAt !== null || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * HTTP Client
+ *
+ * Resilient fetch wrapper shared by the MCP handlers and the direct client:
+ * per-attempt timeouts, retries for idempotent requests on retryable
+ * failures with exponential backoff and jitter, Retry-After support, and a
+ * circuit breaker. Non-2xx responses throw the typed errors from errors.js.
+ */
+class HttpClient {
+  constructor(apiUrl, options = {}) {
+    this.apiUrl = apiUrl;
+    this.options = {
+      timeout: 5000,
+      retries: 3,
+      retryDelay: 1000,
+      maxRetryDelay: 10000,
+      ...options
+    };
+
+    const breakerOptions = { threshold: 5, cooldown: 30000, ...options.circuitBreaker };
+    if (!circuitBreakers.has(apiUrl)) {
+      circuitBreakers.set(apiUrl, new CircuitBreaker(breakerOptions));
+    }
+    this.circuitBreaker = circuitBreakers.get(apiUrl);
+  }
+
+  /**
+   * Send a request and return the (2xx) Response.
+   *
+   * Options are fetch options plus `timeout` (ms per attempt), `retries` and
+   * `idempotent` (force retry behaviour for e.g. a POST that is safe to repeat).
+   * Object bodies are sent as JSON.
+   */
+  async request(endpoint, options = {}) {
+    const {
+      timeout = this.options.timeout,
+      retries = this.options.retries,
+      idempotent,
+      headers = {},
+      body,
+      ...fetchOptions
+    } = options;
+
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const requestInit = {
+      ...fetchOptions,
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body && typeof body === 'object' ? JSON.stringify(body) : body
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.attempt(endpoint, requestInit, timeout);
+      } catch (error) {
+        const retryable = canRetry && attempt < retries && this.isRetryable(error);
+        if (!retryable) {
+          throw error;
+        }
+        await this.sleep(this.getRetryDelay(error, attempt));
+      }
+    }
+  }
+
+  /**
+   * Single attempt guarded by the circuit breaker and a timeout. The timeout
+   * covers reading the body too: the returned Response is already buffered.
+   */
+  async attempt(endpoint, requestInit, timeout) {
+    if (!this.circuitBreaker.allowRequest()) {
+      throw new CircuitOpenError(
+        `Knowledge AI API at ${this.apiUrl} is failing - requests paused for up to ${Math.round(this.circuitBreaker.cooldown / 1000)}s`,
+        { endpoint }
+      );
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onCallerAbort = () => controller.abort();
+    requestInit.signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    try {
+      let response;
+      try {
+        response = await fetch(`${this.apiUrl}${endpoint}`, { ...requestInit, signal: controller.signal });
+      } catch (error) {
+        if (requestInit.signal?.aborted) {
+          throw error;
+        }
+        throw controller.signal.aborted
+          ? new TimeoutError(`Request to ${endpoint} timed out after ${timeout}ms`, { endpoint, cause: error })
+          : new ServiceUnavailableError(
+            `Failed to connect to API at ${this.apiUrl}. Please ensure the server is running.`,
+            { endpoint, cause: error }
+          );
+      }
+
+      if (!response.ok) {
+        throw createApiError(response.status, await readErrorBody(response), endpoint, {
+          retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+
+      let buffered;
+      try {
+        buffered = NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer();
+      } catch (error) {
+        if (requestInit.signal?.aborted) {
+          throw error;
+        }
+        throw controller.signal.aborted
+          ? new TimeoutError(`Response from ${endpoint} timed out after ${timeout}ms`, { endpoint, cause: error })
+          : new ServiceUnavailableError(`Response from ${endpoint} was cut off: ${error.message}`, { endpoint, cause: error });
+      }
+
+      this.circuitBreaker.recordSuccess();
+      return new Response(buffered, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      });
+    } catch (error) {
+      // Only server-side trouble counts against the breaker, not 4xx mistakes
+      if (error instanceof ServiceUnavailableError && !(error instanceof CircuitOpenError)) {
+        this.circuitBreaker.recordFailure();
+      } else if (error.status) {
+        this.circuitBreaker.recordSuccess();
+      } else {
+        this.circuitBreaker.releaseTrial();
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      requestInit.signal?.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  isRetryable(error) {
+    if (error instanceof CircuitOpenError) return false;
+    if (error.retryAfter > this.options.maxRetryDelay) return false; // Not worth stalling the caller for
+    if (error instanceof ServiceUnavailableError && error.status === null) return true; // network or timeout
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Exponential backoff with full jitter, never shorter than Retry-After
+   * (which isRetryable keeps within maxRetryDelay)
+   */
+  getRetryDelay(error, attempt) {
+    const { retryDelay, maxRetryDelay } = this.options;
+    const backoff = Math.random() * Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+
+    return error.retryAfter !== null && error.retryAfter !== undefined
+      ? Math.max(error.retryAfter, backoff)
+      : backoff;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default HttpClient;
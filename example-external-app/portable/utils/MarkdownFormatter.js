@@ -0,0 +1,366 @@
+const PREVIEW_LENGTH = 200;
+const SNIPPET_LENGTH = 300;
+const MAX_DEPTH = 3;
+
+// Keys of an API response that some handlers pass through whole
+const API_ENVELOPE_KEYS = ['success', 'data', 'message', 'timestamp'];
+
+// Connection lists returned by the cross-reference tools, in display order
+const CONNECTION_SECTIONS = [
+  ['forwardLinks', 'Links to'],
+  ['backlinks', 'Linked from'],
+  ['relatedNotes', 'Related notes'],
+  ['suggestions', 'Suggested connections']
+];
+
+/**
+ * Markdown Formatter
+ *
+ * Renders tool results (the `{ success, data, message }` envelope) as compact
+ * markdown for LLM clients: notes, note lists, search hits and connection
+ * lists get dedicated layouts, anything else (stats, health reports) a
+ * nested bullet list.
+ */
+class MarkdownFormatter {
+  format(toolName, result) {
+    if (!result || typeof result !== 'object') {
+      return String(result ?? '');
+    }
+    if (result.success === false) {
+      return `**Error** (${result.tool || toolName}): ${result.error}`;
+    }
+
+    const lines = [];
+    if (result.message) {
+      lines.push(result.message, '');
+    }
+
+    const body = result.dry_run ? this.renderDryRun(result.data) : this.renderData(toolName, result.data);
+    if (body) {
+      lines.push(body, '');
+    }
+
+    if (result.continue) {
+      lines.push(`_More available: call \`${result.continue.tool}\` with \`${JSON.stringify(result.continue.arguments)}\`_`);
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  renderData(toolName, data) {
+    if (data === undefined || data === null) return '';
+
+    // Some tools pass the API's own { success, data } response through as data
+    if (this.isApiEnvelope(data)) {
+      data = data.data;
+    }
+
+    switch (toolName) {
+      case 'get_note':
+      case 'create_note':
+      case 'update_note':
+        return this.isNote(data) ? this.renderNote(data) : this.renderValue(data);
+      case 'list_notes':
+        return this.renderNoteList(data);
+      case 'search':
+      case 'graph_search':
+        return this.renderSearchHits(data);
+      case 'get_note_connections':
+      case 'suggest_connections':
+        return this.renderConnections(data);
+      case 'get_note_outline':
+        return this.renderOutline(data);
+      case 'read_section':
+        return typeof data.content === 'string' ? data.content : this.renderValue(data);
+      case 'get_note_history':
+        return this.renderHistory(data);
+      case 'get_note_revision':
+        return typeof data.content === 'string'
+          ? [`> ${this.describeRevision(data)}`, '', data.content].join('\n')
+          : this.renderValue(data);
+      case 'diff_note_revisions':
+        return this.renderRevisionDiff(data);
+      case 'list_tags':
+        return Array.isArray(data.tags) ? this.renderTags(data) : this.renderValue(data);
+      case 'find_replace':
+        return Array.isArray(data.notes) ? this.renderFindReplace(data) : this.renderValue(data);
+      default:
+        return this.renderValue(data);
+    }
+  }
+
+  /**
+   * Render a note outline as an indented heading list with line ranges
+   */
+  renderOutline(outline) {
+    if (!Array.isArray(outline.headings)) return this.renderValue(outline);
+    if (outline.headings.length === 0) return '_No headings_';
+
+    const minLevel = Math.min(...outline.headings.map(entry => entry.level));
+    return outline.headings
+      .map(entry => `${'  '.repeat(entry.level - minLevel)}- ${entry.heading} _(lines ${entry.start_line}-${entry.end_line})_`)
+      .join('\n');
+  }
+
+  /**
+   * Render a note's revisions as a list, newest first
+   */
+  renderHistory(history) {
+    if (!Array.isArray(history.revisions)) return this.renderValue(history);
+    if (history.revisions.length === 0) return '_No revisions_';
+
+    const lines = history.revisions.map(revision => `- ${this.describeRevision(revision)}`);
+    if (history.source === 'local') {
+      lines.push('', '_Versions seen by this server only; the API keeps no revision history_');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a diff between two revisions: unified diffs as a diff block,
+   * word diffs as text with [-removed-]{+added+} markers
+   */
+  renderRevisionDiff(result) {
+    if (typeof result.diff !== 'string') return this.renderValue(result);
+
+    const lines = [`**From:** ${this.describeRevision(result.from)}`, `**To:** ${this.describeRevision(result.to)}`, ''];
+    if (result.diff === '') {
+      lines.push('_No differences_');
+    } else if (result.format === 'words') {
+      lines.push(result.diff);
+    } else {
+      lines.push('```diff', result.diff, '```');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the tag overview: tags with counts and co-occurring tags, then
+   * groups of likely duplicates
+   */
+  renderTags(overview) {
+    if (overview.tags.length === 0) return '_No tags_';
+
+    const lines = overview.tags.map(entry => {
+      const related = entry.co_occurs?.length
+        ? ` · with ${entry.co_occurs.map(other => `#${other.tag} (${other.count})`).join(', ')}`
+        : '';
+      return `- #${entry.tag} (${entry.count})${related}`;
+    });
+    if (overview.possible_duplicates?.length) {
+      lines.push('', '**Possible duplicates:**', ...overview.possible_duplicates.map(group => `- ${group.map(tag => `#${tag}`).join(', ')}`));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a find_replace preview: each matching note with its diff
+   */
+  renderFindReplace(preview) {
+    const lines = [];
+    for (const note of preview.notes) {
+      const warning = note.would_succeed === false ? ` · **would fail**${note.preview_error ? `: ${note.preview_error}` : ''}` : '';
+      lines.push(`### ${note.title || 'Untitled'} (ID: ${note.id}) · ${note.matches} match${note.matches === 1 ? '' : 'es'}${warning}`, '');
+      lines.push('```diff', note.diff, '```', '');
+    }
+    if (preview.failed?.length) {
+      lines.push('**Not searched:**', ...preview.failed.map(entry => `- ${entry.id}: ${entry.error}`), '');
+    }
+    if (preview.apply_with?.ids?.length) {
+      lines.push(`_Apply with \`${JSON.stringify(preview.apply_with)}\`_`);
+    }
+    return lines.join('\n').trim();
+  }
+
+  describeRevision(revision = {}) {
+    const parts = [`\`${revision.revision}\``];
+    if (revision.changed_by) parts.push(`by ${revision.changed_by}`);
+    if (revision.changed_at || revision.seen_at) parts.push(revision.changed_at || `seen ${revision.seen_at}`);
+    if (revision.title) parts.push(`"${revision.title}"`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Render a dry run: the request that would be sent, then its predicted effect
+   */
+  renderDryRun({ request, effect } = {}) {
+    const lines = [];
+    for (const { method, endpoint, body } of [].concat(request || [])) {
+      lines.push(`**Request:** \`${method} ${endpoint}\``);
+      if (body) {
+        lines.push('', '```json', JSON.stringify(body, null, 2), '```');
+      }
+      lines.push('');
+    }
+
+    const { diff, ...rest } = effect || {};
+    if (this.hasEntries(rest)) {
+      lines.push('**Predicted effect:**', this.renderValue(rest), '');
+    }
+    if (diff) {
+      lines.push('```diff', diff, '```');
+    }
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * Render a note as markdown with a short metadata line
+   */
+  renderNote(note) {
+    const meta = [];
+    if (note.id !== undefined) meta.push(`ID: ${note.id}`);
+    if (note.virtual_folder) meta.push(`Folder: ${note.virtual_folder}`);
+    if (note.tags?.length) meta.push(`Tags: ${note.tags.map(tag => `#${tag}`).join(' ')}`);
+    if (note.updated_at) meta.push(`Updated: ${note.updated_at}`);
+    if (note.version) meta.push(`Version: ${note.version}`);
+
+    const lines = [`# ${note.title || 'Untitled'}`, ''];
+    if (meta.length > 0) {
+      lines.push(`> ${meta.join(' · ')}`, '');
+    }
+    if (typeof note.content === 'string') {
+      lines.push(note.content);
+    }
+    if (note.content_range) {
+      const { start, end, total } = note.content_range;
+      lines.push('', `_Characters ${start}-${end} of ${total}_`);
+    }
+
+    return lines.join('\n');
+  }
+
+  renderNoteList(data) {
+    const notes = Array.isArray(data) ? data : data.notes;
+    if (!Array.isArray(notes)) return this.renderValue(data);
+    if (notes.length === 0) return '_No notes_';
+
+    const lines = notes.map(note => {
+      const details = [`(ID: ${note.id})`];
+      if (note.virtual_folder) details.push(note.virtual_folder);
+      if (note.tags?.length) details.push(note.tags.map(tag => `#${tag}`).join(' '));
+
+      const text = note.preview ?? (typeof note.content === 'string' ? this.truncate(note.content, PREVIEW_LENGTH) : null);
+      return `- **${note.title || 'Untitled'}** ${details.join(' · ')}${text ? `\n  ${text}` : ''}`;
+    });
+
+    const pagination = data.pagination;
+    if (pagination && pagination.returned > 0) {
+      const first = pagination.offset + 1;
+      const last = pagination.offset + pagination.returned;
+      lines.push('', `Notes ${first}-${last}${pagination.total !== null && pagination.total !== undefined ? ` of ${pagination.total}` : ''}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  renderSearchHits(data) {
+    const hits = Array.isArray(data) ? data : data.results;
+    if (!Array.isArray(hits)) return this.renderValue(data);
+    if (hits.length === 0) return '_No results_';
+
+    return hits.map((hit, index) => {
+      const note = hit.note && typeof hit.note === 'object' ? { ...hit.note, ...hit } : hit;
+      const score = note.score ?? note.similarity ?? note.relevance;
+      const scoreText = typeof score === 'number' ? ` - score ${score.toFixed(2)}` : '';
+      const snippet = note.snippet || note.highlight || note.preview || note.context || note.content;
+
+      let line = `${index + 1}. **${note.title || 'Untitled'}** (ID: ${note.id})${scoreText}`;
+      if (typeof snippet === 'string' && snippet.trim()) {
+        line += `\n   > ${this.truncate(snippet, SNIPPET_LENGTH)}`;
+      }
+      return line;
+    }).join('\n');
+  }
+
+  renderConnections(data) {
+    const sections = [];
+
+    for (const [key, heading] of CONNECTION_SECTIONS) {
+      if (!Array.isArray(data[key])) continue;
+
+      const items = data[key].map(item => {
+        const reason = item.reason || (Array.isArray(item.reasons) ? item.reasons.join('; ') : null);
+        return `- ${this.label(item)}${reason ? ` - ${reason}` : ''}`;
+      });
+      sections.push(`## ${heading} (${data[key].length})`, '', ...(items.length ? items : ['_None_']), '');
+    }
+
+    return sections.length ? sections.join('\n').trim() : this.renderValue(data);
+  }
+
+  /**
+   * Generic rendering: scalars inline, objects as nested bullet lists
+   */
+  renderValue(value, depth = 0) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+
+    const indent = '  '.repeat(depth);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return `${indent}_None_`;
+      if (this.isScalarList(value)) {
+        return `${indent}${value.join(', ')}`;
+      }
+      return value.map(item => `${indent}- ${this.label(item)}`).join('\n');
+    }
+
+    const lines = [];
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+
+      if (this.isScalarList(item) && item.length > 0) {
+        lines.push(`${indent}- **${key}**: ${item.join(', ')}`);
+      } else if (item !== null && typeof item === 'object' && depth < MAX_DEPTH && this.hasEntries(item)) {
+        lines.push(`${indent}- **${key}**:\n${this.renderValue(item, depth + 1)}`);
+      } else {
+        lines.push(`${indent}- **${key}**: ${this.inline(item)}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * One-line label for a list entry (notes, projects, connections)
+   */
+  label(item) {
+    if (item === null || typeof item !== 'object') return String(item);
+
+    const name = item.title || item.name;
+    const id = item.id ?? item.note_id ?? item.noteId;
+    if (name) return `**${name}**${id !== undefined ? ` (ID: ${id})` : ''}`;
+    if (id !== undefined) return `ID: ${id}`;
+    return this.inline(item);
+  }
+
+  inline(value) {
+    if (value === null || value === undefined) return '-';
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value) && value.length === 0) return '_None_';
+    return `\`${JSON.stringify(value)}\``;
+  }
+
+  isApiEnvelope(value) {
+    return value !== null && typeof value === 'object' && value.data !== undefined &&
+      Object.keys(value).every(key => API_ENVELOPE_KEYS.includes(key));
+  }
+
+  isScalarList(value) {
+    return Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+  }
+
+  hasEntries(value) {
+    return Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0;
+  }
+
+  isNote(data) {
+    return typeof data === 'object' && !Array.isArray(data) && ('title' in data || 'content' in data);
+  }
+
+  truncate(text, length) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+  }
+}
+
+export default MarkdownFormatter;
@@ -0,0 +1,169 @@
+import { ApiError, NotFoundError } from './errors.js';
+import { diffLines, diffWords } from './diff.js';
+import { noteVersion } from './NoteVersions.js';
+
+// Statuses meaning the API doesn't keep revisions (no such endpoint)
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+/**
+ * Note History
+ *
+ * Prior versions of a note from the API's revision endpoints
+ * (`/notes/:id/revisions`). When the API doesn't keep revisions, falls back
+ * to the versions this process has read or written (see NoteVersions), which
+ * only covers what was seen here. Shared by the MCP tools and the client:
+ * `request(projectId, path)` resolves to the `data` of an API response.
+ */
+class NoteHistory {
+  constructor({ request, versions }) {
+    this.request = request;
+    this.versions = versions;
+  }
+
+  /**
+   * Revisions of a note, newest first, without content
+   */
+  async list(projectId, noteId, { limit = 20 } = {}) {
+    try {
+      const data = await this.request(projectId, `${this.revisionsPath(noteId)}?limit=${limit}`);
+      const revisions = (Array.isArray(data) ? data : data?.revisions || []).map(normalizeRevision);
+      return {
+        id: noteId,
+        source: 'api',
+        revisions: revisions.slice(0, limit).map(withoutContent),
+        total: data?.total ?? data?.pagination?.total ?? revisions.length
+      };
+    } catch (error) {
+      if (!isUnsupported(error)) throw error;
+    }
+
+    await this.current(projectId, noteId); // Records the current version (and 404s for unknown notes)
+    const revisions = this.versions.history(projectId, noteId).map(entry => ({
+      revision: entry.version,
+      version: entry.version,
+      title: entry.title,
+      changed_by: entry.changed_by,
+      changed_at: entry.updated_at,
+      seen_at: entry.seen_at,
+      content_length: entry.content_length
+    }));
+
+    return { id: noteId, source: 'local', revisions: revisions.slice(0, limit), total: revisions.length };
+  }
+
+  /**
+   * One revision with its content. `revision` is an API revision ID, a
+   * version (content hash), or 'current' for the note as it is now.
+   */
+  async revision(projectId, noteId, revision) {
+    if (String(revision) === 'current') {
+      return this.current(projectId, noteId);
+    }
+
+    let apiError;
+    try {
+      const data = await this.request(projectId, `${this.revisionsPath(noteId)}/${encodeURIComponent(revision)}`);
+      return { ...normalizeRevision(data), source: 'api' };
+    } catch (error) {
+      if (!isUnsupported(error)) throw error;
+      apiError = error;
+    }
+
+    const content = this.versions.get(projectId, noteId, revision);
+    if (content !== null) {
+      const entry = this.versions.history(projectId, noteId).find(known => known.version === String(revision));
+      return {
+        revision: String(revision),
+        version: String(revision),
+        title: entry?.title ?? null,
+        changed_by: entry?.changed_by ?? null,
+        changed_at: entry?.updated_at ?? null,
+        content,
+        source: 'local'
+      };
+    }
+
+    const current = await this.current(projectId, noteId);
+    if (current.version === String(revision)) return current;
+
+    throw new NotFoundError(`Revision ${revision} of note ${noteId} not found: the API doesn't have it and it wasn't seen by this server`, {
+      status: 404,
+      endpoint: apiError.endpoint,
+      cause: apiError
+    });
+  }
+
+  /**
+   * The note as it is now, as a revision
+   */
+  async current(projectId, noteId) {
+    const note = await this.request(projectId, `/notes/${encodeURIComponent(noteId)}`);
+    const version = this.versions.remember(projectId, note);
+    const seen = this.versions.history(projectId, noteId).find(entry => entry.version === version);
+
+    return {
+      revision: 'current',
+      version,
+      title: note?.title ?? null,
+      changed_by: note?.changed_by ?? note?.updated_by ?? seen?.changed_by ?? null,
+      changed_at: note?.updated_at ?? null,
+      content: note?.content ?? '',
+      source: 'api'
+    };
+  }
+
+  /**
+   * Diff two revisions: format 'unified' (lines) or 'words' (inline markers)
+   */
+  async diff(projectId, noteId, from, to = 'current', { format = 'unified', context } = {}) {
+    const [before, after] = await Promise.all([
+      this.revision(projectId, noteId, from),
+      this.revision(projectId, noteId, to)
+    ]);
+    const diff = format === 'words'
+      ? diffWords(before.content, after.content, { context })
+      : diffLines(before.content, after.content, { context });
+
+    return {
+      id: noteId,
+      format,
+      from: withoutContent(before),
+      to: withoutContent(after),
+      ...diff
+    };
+  }
+
+  revisionsPath(noteId) {
+    return `/notes/${encodeURIComponent(noteId)}/revisions`;
+  }
+}
+
+/**
+ * Whether an API error means the revision endpoints aren't available
+ */
+function isUnsupported(error) {
+  return error instanceof NotFoundError ||
+    (error instanceof ApiError && UNSUPPORTED_STATUSES.includes(error.status));
+}
+
+/**
+ * Common shape for revisions from the API, whatever its field names
+ */
+function normalizeRevision(entry) {
+  return {
+    revision: entry?.revision ?? entry?.revision_id ?? entry?.id ?? null,
+    version: entry?.version ?? entry?.content_hash ?? noteVersion(entry),
+    title: entry?.title ?? null,
+    changed_by: entry?.changed_by ?? entry?.updated_by ?? entry?.created_by ?? null,
+    changed_at: entry?.changed_at ?? entry?.created_at ?? entry?.updated_at ?? null,
+    ...(typeof entry?.content === 'string' && { content: entry.content }),
+    ...(entry?.content_length !== undefined && { content_length: entry.content_length })
+  };
+}
+
+function withoutContent(revision) {
+  const { content, ...rest } = revision;
+  return typeof content === 'string' ? { ...rest, content_length: content.length } : rest;
+}
+
+export default NoteHistory;
@@ -0,0 +1,107 @@
+import { NotFoundError } from './errors.js';
+
+/**
+ * Note Tags
+ *
+ * A project's tag vocabulary, built from the notes themselves since the API
+ * has no tag endpoint: counts, co-occurrence and likely duplicates, plus the
+ * per-note tag rewrites behind renaming, merging and deleting tags. Used by
+ * the tag tools and the client on top of BulkNotes.
+ */
+class NoteTags {
+  constructor(bulk) {
+    this.bulk = bulk;
+  }
+
+  /**
+   * Tags with note counts, most used first. `related` co-occurring tags are
+   * listed per tag; `maxNotes` caps the notes scanned.
+   */
+  async overview(projectId, { virtualFolder, minCount = 1, limit = 100, related = 5, maxNotes } = {}) {
+    const notes = await this.bulk.collectNotes(projectId, { virtual_folder: virtualFolder }, { max: maxNotes });
+    const counts = new Map();
+    const pairs = new Map(); // tag -> Map(other tag -> notes with both)
+
+    for (const note of notes) {
+      const tags = [...new Set(note.tags || [])];
+      for (const tag of tags) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+        const others = pairs.get(tag) || new Map();
+        for (const other of tags) {
+          if (other !== tag) others.set(other, (others.get(other) || 0) + 1);
+        }
+        pairs.set(tag, others);
+      }
+    }
+
+    const mostUsed = (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]);
+    const tags = [...counts.entries()]
+      .filter(([, count]) => count >= minCount)
+      .sort(mostUsed)
+      .slice(0, limit)
+      .map(([tag, count]) => ({
+        tag,
+        count,
+        ...(related > 0 && {
+          co_occurs: [...pairs.get(tag).entries()].sort(mostUsed).slice(0, related).map(([other, both]) => ({ tag: other, count: both }))
+        })
+      }));
+
+    return {
+      scanned: notes.length,
+      total_tags: counts.size,
+      tags,
+      possible_duplicates: findVariants([...counts.keys()])
+    };
+  }
+
+  /**
+   * Tag rewrites replacing `sources` with `target` (or removing them when
+   * target is null) in every note carrying one of them:
+   * [{ note, body, changes }] like BulkNotes.planMetadata
+   */
+  async plan(projectId, sources, target = null) {
+    const affected = new Map();
+    for (const source of sources) {
+      for (const note of await this.bulk.collectNotes(projectId, { tags: [source] })) {
+        if ((note.tags || []).includes(source)) affected.set(String(note.id), note);
+      }
+    }
+    if (affected.size === 0) {
+      throw new NotFoundError(`No notes are tagged ${sources.map(tag => `"${tag}"`).join(' or ')}`);
+    }
+    this.bulk.checkSize(affected.size, 'the tags');
+
+    return [...affected.values()].map(note => {
+      const tags = replaceTags(note.tags, sources, target);
+      return { note, body: { tags }, changes: { tags: { from: note.tags, to: tags } } };
+    });
+  }
+}
+
+/**
+ * Swap source tags for the target in place (keeping the tag order) and
+ * drop the duplicates that leaves
+ */
+function replaceTags(tags, sources, target) {
+  const result = [];
+  for (const tag of tags) {
+    const next = sources.includes(tag) ? target : tag;
+    if (next !== null && !result.includes(next)) result.push(next);
+  }
+  return result;
+}
+
+/**
+ * Groups of tags that differ only by case, separators or a plural "s"
+ */
+function findVariants(tags) {
+  const groups = new Map();
+  for (const tag of tags) {
+    const key = tag.toLowerCase().replace(/[\s_-]+/g, '').replace(/s$/, '');
+    groups.set(key, [...(groups.get(key) || []), tag]);
+  }
+  return [...groups.values()].filter(group => group.length > 1).map(group => group.sort());
+}
+
+export default NoteTags;
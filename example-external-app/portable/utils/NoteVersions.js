@@ -0,0 +1,152 @@
+import { createHash } from 'crypto';
+import { ConflictError } from './errors.js';
+import { diffLines, merge3 } from './diff.js';
+
+/**
+ * Version of a note's content: the API's content hash, or a SHA-256 of the
+ * content when the API doesn't send one. Null when neither is available.
+ */
+export function noteVersion(note) {
+  if (!note) return null;
+  if (note.content_hash) return String(note.content_hash);
+  if (typeof note.content !== 'string') return null;
+  return createHash('sha256').update(note.content).digest('hex');
+}
+
+/**
+ * Note with its version attached (unchanged when the version is unknown)
+ */
+export function withVersion(note) {
+  const version = noteVersion(note);
+  return version && note && typeof note === 'object' ? { ...note, version } : note;
+}
+
+/**
+ * Check a write based on `expectedVersion` against the note as it is now.
+ * Returns null when the note is unchanged. Otherwise, when `rebase` is set
+ * and the change doesn't overlap what changed meanwhile, returns the current
+ * content with the change merged in; else throws a ConflictError.
+ * `applyChange(content)` replays the write on a version of the note and
+ * returns the new content (or null / throws when it doesn't apply).
+ */
+export function rebaseOrConflict({ noteId, expectedVersion, current, base = null, applyChange, rebase = false }) {
+  const currentVersion = noteVersion(current);
+  if (currentVersion === String(expectedVersion)) return null;
+
+  const theirs = current?.content ?? '';
+  let ours = null;
+  if (base !== null) {
+    try {
+      ours = applyChange(base);
+    } catch (error) {
+      ours = null; // The change doesn't apply to the base either
+    }
+  }
+  const merge = ours !== null && ours !== undefined ? merge3(base, ours, theirs) : null;
+
+  if (rebase && merge?.merged !== null && merge?.merged !== undefined) {
+    return merge.merged;
+  }
+
+  let hint;
+  if (base === null) {
+    hint = `version ${expectedVersion} is no longer known here; read the note again and redo the change`;
+  } else if (!merge) {
+    hint = 'the change does not apply to that version either; read the note again and redo the change';
+  } else if (merge.conflicts.length > 0) {
+    hint = `${merge.conflicts.length} overlapping change${merge.conflicts.length === 1 ? '' : 's'}; read the note again and redo the change`;
+  } else {
+    hint = 'the changes do not overlap; retry with rebase: true to merge them';
+  }
+
+  throw new ConflictError(`Note ${noteId} changed since version ${expectedVersion} (now ${currentVersion}): ${hint}`, {
+    status: 409,
+    conflict: {
+      expected_version: String(expectedVersion),
+      current_version: currentVersion,
+      base_available: base !== null,
+      theirs: base !== null ? diffLines(base, theirs).diff : null,
+      ours: merge ? diffLines(base, ours).diff : null,
+      conflicts: merge ? merge.conflicts : null,
+      rebasable: merge ? merge.conflicts.length === 0 : false
+    }
+  });
+}
+
+/**
+ * Note Versions
+ *
+ * Recently seen contents of notes, by version, kept in memory as merge
+ * bases for writes that name an expected_version and as a fallback note
+ * history when the API doesn't keep revisions. Holds the newest
+ * `versionsPerNote` versions of up to `maxNotes` notes (least recently
+ * seen notes are dropped first).
+ */
+class NoteVersions {
+  constructor({ versionsPerNote = 10, maxNotes = 500 } = {}) {
+    this.versionsPerNote = versionsPerNote;
+    this.maxNotes = maxNotes;
+    this.notes = new Map(); // "project:noteId" -> Map(version -> { content, title, changed_by, updated_at, seen_at })
+  }
+
+  /**
+   * Remember a note's current content; returns its version.
+   * `changedBy` attributes a version this process wrote itself.
+   */
+  remember(projectId, note, { changedBy = null } = {}) {
+    const version = noteVersion(note);
+    if (!version || note.id === undefined || typeof note.content !== 'string') return version;
+
+    const key = this.key(projectId, note.id);
+    const versions = this.notes.get(key) || new Map();
+    this.notes.delete(key); // Re-insert as most recently seen
+    this.notes.set(key, versions);
+
+    const known = versions.get(version);
+    versions.delete(version);
+    versions.set(version, {
+      content: note.content,
+      title: note.title ?? null,
+      changed_by: changedBy ?? note.changed_by ?? note.updated_by ?? known?.changed_by ?? null,
+      updated_at: note.updated_at ?? known?.updated_at ?? null,
+      seen_at: known?.seen_at ?? new Date().toISOString()
+    });
+    while (versions.size > this.versionsPerNote) {
+      versions.delete(versions.keys().next().value);
+    }
+    while (this.notes.size > this.maxNotes) {
+      this.notes.delete(this.notes.keys().next().value);
+    }
+    return version;
+  }
+
+  /**
+   * Content of a note at a version, or null when not known
+   */
+  get(projectId, noteId, version) {
+    return this.notes.get(this.key(projectId, noteId))?.get(String(version))?.content ?? null;
+  }
+
+  /**
+   * Known versions of a note, most recently seen first, without content
+   */
+  history(projectId, noteId) {
+    const versions = this.notes.get(this.key(projectId, noteId));
+    if (!versions) return [];
+
+    return [...versions.entries()].reverse().map(([version, entry]) => ({
+      version,
+      title: entry.title,
+      changed_by: entry.changed_by,
+      updated_at: entry.updated_at,
+      seen_at: entry.seen_at,
+      content_length: entry.content.length
+    }));
+  }
+
+  key(projectId, noteId) {
+    return `${projectId}:${noteId}`;
+  }
+}
+
+export default NoteVersions;
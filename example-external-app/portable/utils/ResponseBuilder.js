@@ -1,7 +1,30 @@
+// Rough token estimate used for response budgets
+const CHARS_PER_TOKEN = 4;
+
+// Always leave room for a useful slice of content, however large the metadata
+const MIN_CONTENT_CHARS = 400;
+
+// Fields kept per note when streamlined and no explicit `fields` are given
+const SUMMARY_FIELDS = ['id', 'content_hash', 'version', 'title', 'virtual_folder', 'tags', 'created_at', 'updated_at'];
+const NOTE_FIELDS = [...SUMMARY_FIELDS, 'created_by', 'content'];
+
 /**
- * Simple Response Builder for portable MCP client
+ * Response Builder for portable MCP client
+ *
+ * Shapes tool results for LLM consumption: streamlined per-tool output,
+ * field selection, and a token budget. Anything cut to fit the budget comes
+ * with a `continue` cursor - the tool call that fetches the rest.
  */
 class ResponseBuilder {
+  constructor(options = {}) {
+    this.options = {
+      streamlined: true,
+      tokenBudget: 4000,
+      previewLength: 200,
+      ...options
+    };
+  }
+
   success(data, message = 'Success') {
     return {
       success: true,
@@ -28,6 +51,185 @@ class ResponseBuilder {
       ]
     };
   }
+
+  /**
+   * Shape a tool result into `{ data, message, continue? }`.
+   *
+   * Options: streamlined, fields, maxTokens, plus per-tool cursor state
+   * (offset/limit/total/args for list_notes, contentOffset for get_note).
+   */
+  buildResponse(data, toolName, options = {}) {
+    const settings = { ...this.options };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null) settings[key] = value;
+    }
+
+    switch (toolName) {
+      case 'list_notes':
+        return this.buildNoteList(data || [], settings);
+      case 'get_note':
+        return this.buildNote(data, settings);
+      case 'create_note':
+        return this.buildNoteChange(data, 'Created', settings);
+      case 'update_note':
+        return this.buildNoteChange(data, 'Updated', settings);
+      default:
+        return { data, message: 'Success' };
+    }
+  }
+
+  buildNoteList(notes, settings) {
+    const offset = settings.offset || 0;
+    const budget = this.budgetChars(settings);
+    const defaultFields = settings.streamlined && !settings.fields;
+
+    const items = [];
+    let used = 2;
+    for (const note of notes) {
+      const item = this.selectFields(note, settings.fields || (settings.streamlined ? SUMMARY_FIELDS : null));
+      if (defaultFields && typeof note.content === 'string') {
+        item.preview = this.preview(note.content, settings.previewLength);
+      }
+
+      let size = JSON.stringify(item).length + 1;
+      if (used + size > budget) {
+        if (items.length > 0) break;
+
+        // A single oversized note still goes out, with its content cut to fit
+        if (typeof item.content === 'string') {
+          const room = Math.max(budget - used - (size - item.content.length), MIN_CONTENT_CHARS);
+          item.content = this.sliceContent(item.content, 0, room).text;
+          item.content_truncated = true;
+          size = JSON.stringify(item).length + 1;
+        }
+      }
+
+      items.push(item);
+      used += size;
+    }
+
+    const heldBack = notes.length - items.length;
+    const end = offset + notes.length;
+    const hasMore = heldBack > 0 || (settings.total !== undefined
+      ? end < settings.total
+      : Boolean(settings.limit) && notes.length >= settings.limit);
+    const nextOffset = offset + items.length;
+
+    let message = `Retrieved ${items.length} notes`;
+    if (heldBack > 0) {
+      message += ` (${heldBack} more held back by the ${this.tokenBudget(settings)}-token budget)`;
+    }
+
+    return {
+      data: {
+        notes: items,
+        pagination: {
+          offset,
+          returned: items.length,
+          total: settings.total ?? null,
+          has_more: hasMore,
+          next_offset: hasMore ? nextOffset : null
+        }
+      },
+      message,
+      continue: hasMore
+        ? { tool: 'list_notes', arguments: { ...settings.args, offset: nextOffset } }
+        : undefined
+    };
+  }
+
+  buildNote(note, settings) {
+    if (!note || typeof note !== 'object') {
+      return { data: note, message: 'Note retrieved' };
+    }
+
+    const shaped = this.selectFields(note, settings.fields || (settings.streamlined ? NOTE_FIELDS : null));
+    const label = this.describeNote(note);
+    let message = `Retrieved ${label}`;
+    let cursor;
+
+    if (typeof shaped.content === 'string') {
+      const start = Math.min(settings.contentOffset || 0, shaped.content.length);
+      const metadataChars = JSON.stringify({ ...shaped, content: '' }).length;
+      const room = Math.max(this.budgetChars(settings) - metadataChars, MIN_CONTENT_CHARS);
+      const window = this.sliceContent(shaped.content, start, room);
+
+      shaped.content = window.text;
+      if (start > 0 || window.end < window.total) {
+        shaped.content_range = { start, end: window.end, total: window.total };
+        message += ` - characters ${start}-${window.end} of ${window.total}`;
+      }
+      if (window.end < window.total) {
+        cursor = { tool: 'get_note', arguments: { id: note.id ?? settings.id, content_offset: window.end } };
+        message += `; call get_note with content_offset ${window.end} for the rest`;
+      }
+    }
+
+    return { data: shaped, message, continue: cursor };
+  }
+
+  /**
+   * Create/update results: the caller already has the content, so the
+   * streamlined shape is just the note's identity and metadata
+   */
+  buildNoteChange(note, verb, settings) {
+    if (!note || typeof note !== 'object') {
+      return { data: note, message: `${verb} note` };
+    }
+
+    const fields = settings.fields || (settings.streamlined ? SUMMARY_FIELDS : null);
+    return {
+      data: this.selectFields(note, fields),
+      message: `${verb} ${this.describeNote(note)}`
+    };
+  }
+
+  /**
+   * Pick fields from a note, always keeping its ID
+   */
+  selectFields(note, fields) {
+    if (!fields) return { ...note };
+
+    const selected = {};
+    for (const field of ['id', ...fields]) {
+      if (field in note) selected[field] = note[field];
+    }
+    return selected;
+  }
+
+  /**
+   * Cut content to at most `maxChars` from `start`, preferring a line break
+   */
+  sliceContent(content, start, maxChars) {
+    const total = content.length;
+    let end = Math.min(total, start + maxChars);
+
+    if (end < total) {
+      const lineBreak = content.lastIndexOf('\n', end - 1);
+      if (lineBreak >= start + maxChars / 2) {
+        end = lineBreak + 1;
+      }
+    }
+
+    return { text: content.slice(start, end), end, total };
+  }
+
+  preview(content, length) {
+    const text = content.replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.slice(0, length)}...` : text;
+  }
+
+  describeNote(note) {
+    return note.title ? `note "${note.title}" (ID: ${note.id})` : `note (ID: ${note.id})`;
+  }
+
+  tokenBudget(settings) {
+    return settings.maxTokens || settings.tokenBudget;
+  }
+
+  budgetChars(settings) {
+    return this.tokenBudget(settings) * CHARS_PER_TOKEN;
+  }
 }
 
-export default ResponseBuilder;
\ No newline at end of file
+export default ResponseBuilder;
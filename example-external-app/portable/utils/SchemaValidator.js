@@ -0,0 +1,192 @@
+/**
+ * Tool arguments don't match the tool's inputSchema.
+ * `errors` lists every problem as `{ field, message }`.
+ */
+export class ArgumentValidationError extends Error {
+  constructor(toolName, errors) {
+    const summary = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+    super(`Invalid arguments for ${toolName}: ${summary}`);
+    this.name = this.constructor.name;
+    this.tool = toolName;
+    this.errors = errors;
+  }
+}
+
+const NUMERIC = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Schema Validator
+ *
+ * Checks tool arguments against the JSON Schema subset the handlers declare
+ * (type, properties, required, items, enum, minimum/maximum,
+ * minLength/maxLength, minItems/maxItems). Values some clients send as
+ * strings - numbers, booleans, JSON arrays and objects - are coerced to the
+ * declared type, and `null` for an optional argument counts as omitted.
+ * Arguments a tool doesn't declare are rejected unless its schema sets
+ * `additionalProperties`; nested objects only reject them with
+ * `additionalProperties: false`.
+ */
+class SchemaValidator {
+  /**
+   * Validate arguments and return a coerced copy, or throw ArgumentValidationError
+   */
+  validate(toolName, schema, args = {}) {
+    const errors = [];
+    const root = { ...schema, additionalProperties: schema?.additionalProperties ?? false };
+    const value = this.check(root, args ?? {}, '', errors);
+
+    if (errors.length > 0) {
+      throw new ArgumentValidationError(toolName, errors);
+    }
+    return value;
+  }
+
+  check(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') return value;
+
+    const field = path || 'arguments';
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => this.matchesType(type, value))) {
+      const coerced = this.coerce(types, value);
+      if (coerced === undefined) {
+        errors.push({ field, message: `must be ${this.describeTypes(types)}` });
+        return value;
+      }
+      value = coerced;
+    }
+
+    const problems = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) problems.push(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) problems.push(`must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        problems.push(`must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'} long`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        problems.push(`must be at most ${schema.maxLength} characters long`);
+      }
+    }
+
+    errors.push(...problems.map(message => ({ field, message })));
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+      }
+      return schema.items
+        ? value.map((item, index) => this.check(schema.items, item, `${path}[${index}]`, errors))
+        : value;
+    }
+
+    if (this.isPlainObject(value) && (schema.properties || schema.required || schema.additionalProperties === false)) {
+      return this.checkObject(schema, value, path, errors);
+    }
+
+    return value;
+  }
+
+  checkObject(schema, value, path, errors) {
+    const result = { ...value };
+    const required = schema.required || [];
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (result[key] === null && !required.includes(key) && !this.allowsNull(propertySchema)) {
+        delete result[key];
+      }
+      if (result[key] !== undefined) {
+        result[key] = this.check(propertySchema, result[key], this.join(path, key), errors);
+      }
+    }
+
+    for (const key of required) {
+      if (result[key] === undefined || result[key] === null) {
+        errors.push({ field: this.join(path, key), message: 'is required' });
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(result)) {
+        if (!Object.hasOwn(schema.properties || {}, key)) {
+          errors.push({ field: this.join(path, key), message: 'is an unknown argument' });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return this.isPlainObject(value);
+      case 'null': return value === null;
+      default: return true;
+    }
+  }
+
+  /**
+   * Convert a value to the first declared type it safely converts to
+   */
+  coerce(types, value) {
+    for (const type of types) {
+      if (typeof value === 'string') {
+        const text = value.trim();
+
+        if ((type === 'number' || type === 'integer') && NUMERIC.test(text)) {
+          const number = Number(text);
+          if (this.matchesType(type, number)) return number;
+        }
+        if (type === 'boolean' && (text === 'true' || text === 'false')) {
+          return text === 'true';
+        }
+        if ((type === 'array' && text.startsWith('[')) || (type === 'object' && text.startsWith('{'))) {
+          try {
+            const parsed = JSON.parse(text);
+            if (this.matchesType(type, parsed)) return parsed;
+          } catch (error) {
+            // Not JSON - fall through to the type error
+          }
+        }
+      }
+
+      if (type === 'string' && typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+      }
+    }
+    return undefined;
+  }
+
+  describeTypes(types) {
+    const names = types.map(type => (type === 'array' || type === 'object' || type === 'integer' ? `an ${type}` : `a ${type}`));
+    return names.join(' or ');
+  }
+
+  allowsNull(schema) {
+    return [].concat(schema?.type).includes('null');
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+}
+
+export default SchemaValidator;
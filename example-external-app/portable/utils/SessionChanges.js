@@ -0,0 +1,122 @@
+// Note fields captured before a write - enough to restore the note
+const SNAPSHOT_FIELDS = ['id', 'title', 'content', 'tags', 'virtual_folder'];
+
+/**
+ * Session Changes
+ *
+ * In-memory record of the note mutations one MCP session made, oldest
+ * first. Each entry keeps the note as it was before the write (and the new
+ * note's identity after a create) so the change can be reverted through the
+ * notes API. Only the newest `maxEntries` changes are kept.
+ */
+class SessionChanges {
+  constructor({ maxEntries = 100 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record a mutation: action is 'create', 'update' or 'delete'
+   */
+  record({ tool, action, projectId, noteId, before = null, after = null }) {
+    const entry = {
+      id: this.nextId++,
+      tool,
+      action,
+      project_id: projectId,
+      note_id: noteId,
+      before: this.snapshot(before),
+      after: this.snapshot(after),
+      timestamp: new Date().toISOString(),
+      reverted: false
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === Number(id)) || null;
+  }
+
+  /**
+   * Newest change that hasn't been reverted yet
+   */
+  last() {
+    for (let index = this.entries.length - 1; index >= 0; index--) {
+      if (!this.entries[index].reverted) return this.entries[index];
+    }
+    return null;
+  }
+
+  /**
+   * Changes, newest first
+   */
+  list({ includeReverted = true } = {}) {
+    return this.entries.filter(entry => includeReverted || !entry.reverted).reverse();
+  }
+
+  /**
+   * Unreverted changes to the same note made after an entry
+   */
+  laterChanges(entry) {
+    return this.entries.filter(other =>
+      other.id > entry.id &&
+      !other.reverted &&
+      other.project_id === entry.project_id &&
+      String(other.note_id) === String(entry.note_id)
+    );
+  }
+
+  markReverted(entry, details = {}) {
+    Object.assign(entry, { reverted: true, reverted_at: new Date().toISOString(), ...details });
+  }
+
+  /**
+   * Point unreverted changes at a note's new ID (a deleted note restored
+   * by recreating it)
+   */
+  moveNote(projectId, fromId, toId) {
+    for (const entry of this.entries) {
+      if (!entry.reverted && entry.project_id === projectId && String(entry.note_id) === String(fromId)) {
+        entry.note_id = toId;
+      }
+    }
+  }
+
+  /**
+   * Entry without stored content, for listings
+   */
+  describe(entry) {
+    const summarize = note => note && {
+      title: note.title ?? null,
+      tags: note.tags ?? null,
+      virtual_folder: note.virtual_folder ?? null,
+      content_length: note.content?.length ?? null
+    };
+
+    const { id, before, after, ...rest } = entry;
+    return {
+      change_id: id,
+      ...rest,
+      title: before?.title ?? after?.title ?? null,
+      ...(before && { before: summarize(before) })
+    };
+  }
+
+  snapshot(note) {
+    if (!note || typeof note !== 'object') return null;
+
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS) {
+      if (note[field] !== undefined) snapshot[field] = note[field];
+    }
+    return snapshot;
+  }
+}
+
+export default SessionChanges;
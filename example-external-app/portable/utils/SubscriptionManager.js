@@ -0,0 +1,231 @@
+import KnowledgeAiMcpClient from '../client.js';
+
+const NOTE_PREFIX = 'knowledge://note/';
+const FOLDER_PREFIX = 'knowledge://folder/';
+const TAG_PREFIX = 'knowledge://tag/';
+
+/**
+ * Subscription Manager
+ *
+ * Tracks MCP resource subscriptions per session and turns Knowledge AI note
+ * changes into `notifications/resources/updated` and `list_changed`.
+ * Changes arrive through a KnowledgeAiMcpClient change feed (webhook, or
+ * polling when the webhook can't be registered), one feed per API key and
+ * project. Each feed remembers which folder and tags every note was last
+ * seen with, so a note that moves or loses a tag updates the old URIs too.
+ */
+class SubscriptionManager {
+  constructor(config, log = () => {}) {
+    this.config = config;
+    this.log = log;
+
+    this.subscribers = new Map(); // MCP server -> { session, uris: Map<normalized, uri> }
+    this.feeds = new Map();
+  }
+
+  /**
+   * Subscribe a session to updates for a resource URI
+   */
+  async subscribe(server, session, uri) {
+    let subscriber = this.subscribers.get(server);
+    if (!subscriber) {
+      subscriber = { session, uris: new Map() };
+      this.subscribers.set(server, subscriber);
+    }
+
+    subscriber.uris.set(this.normalizeUri(uri), uri);
+    try {
+      await this.ensureFeed(session);
+    } catch (error) {
+      await this.unsubscribe(server, uri);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a single subscription
+   */
+  async unsubscribe(server, uri) {
+    const subscriber = this.subscribers.get(server);
+    if (!subscriber) return;
+
+    subscriber.uris.delete(this.normalizeUri(uri));
+    if (subscriber.uris.size === 0) {
+      await this.release(server);
+    }
+  }
+
+  /**
+   * Drop all subscriptions of a session, stopping its feed when unused
+   */
+  async release(server) {
+    const subscriber = this.subscribers.get(server);
+    if (!subscriber) return;
+
+    this.subscribers.delete(server);
+
+    const key = this.feedKey(subscriber.session);
+    const stillUsed = [...this.subscribers.values()].some(other => this.feedKey(other.session) === key);
+    if (!stillUsed && this.feeds.has(key)) {
+      await this.stopFeed(this.feeds.get(key));
+    }
+  }
+
+  /**
+   * Get (or start) the change feed for a session's API key and project.
+   * Rejects when the feed can't start; the next call tries again.
+   */
+  async ensureFeed(session) {
+    const key = this.feedKey(session);
+    let feed = this.feeds.get(key);
+
+    if (!feed) {
+      feed = { key, client: null, notes: new Map() }; // note ID -> URIs it was last seen under
+      feed.ready = this.startFeed(feed, session);
+      this.feeds.set(key, feed);
+    }
+
+    await feed.ready;
+    return feed;
+  }
+
+  async startFeed(feed, session) {
+    const client = new KnowledgeAiMcpClient({
+      ...this.config,
+      apiKey: session.apiKey,
+      projectId: session.currentProject,
+      // Each feed runs its own receiver, so a fixed WEBHOOK_PORT would clash
+      webhook: { ...this.config.webhook, enabled: true, port: 0 },
+      changes: { ...this.config.changes, unref: true }, // The server's own lifetime decides
+      journal: { ...this.config.journal, enabled: false },
+      logging: { ...this.config.logging, enabled: false }
+    });
+
+    client.on('error', () => {});
+    client.on('pollError', error => this.log('error', `Change polling failed: ${error.message}`));
+    client.on('noteCreated', note => this.handleChange(feed, 'created', note));
+    client.on('noteUpdated', note => this.handleChange(feed, 'updated', note));
+    client.on('noteDeleted', note => this.handleChange(feed, 'deleted', note));
+
+    try {
+      await client.connect();
+      feed.client = client;
+      await this.indexNotes(feed, client);
+      this.log('info', `Resource subscriptions for ${session.currentProject} use ${client.changeMode === 'poll' ? 'polling' : `webhook ${client.webhookUrl}`}`);
+    } catch (error) {
+      const message = `Resource subscriptions unavailable for ${session.currentProject}: ${error.message}`;
+      this.log('error', message);
+      if (this.feeds.get(feed.key) === feed) this.feeds.delete(feed.key);
+      await client.disconnect().catch(() => {});
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Record the current URIs of every note, from the poll snapshot or a
+   * listing. Without it, the first move of a note only updates its new URIs.
+   */
+  async indexNotes(feed, client) {
+    try {
+      const notes = client.noteSnapshot
+        ? [...client.noteSnapshot.values()].map(entry => entry.note)
+        : client.iterateNotes({ concurrency: 1 });
+      for await (const note of notes) {
+        // Changes that arrived during the listing are newer
+        if (!feed.notes.has(String(note.id))) feed.notes.set(String(note.id), this.urisForNote(note));
+      }
+    } catch (error) {
+      this.log('error', `Failed to list notes for resource subscriptions: ${error.message}`);
+    }
+  }
+
+  async stopFeed(feed) {
+    this.feeds.delete(feed.key);
+    await feed.ready.catch(() => {});
+
+    if (feed.client) {
+      await feed.client.disconnect().catch(() => {});
+    }
+  }
+
+  /**
+   * Notify subscribers affected by a note change event
+   */
+  handleChange(feed, event, note) {
+    if (!note) return;
+
+    const current = this.urisForNote(note);
+    const affected = new Set([...(feed.notes.get(String(note.id)) || []), ...current]);
+    if (event === 'deleted') {
+      feed.notes.delete(String(note.id));
+    } else {
+      feed.notes.set(String(note.id), current);
+    }
+
+    for (const [server, subscriber] of this.subscribers) {
+      if (this.feedKey(subscriber.session) !== feed.key) continue;
+
+      for (const normalized of affected) {
+        const uri = subscriber.uris.get(normalized);
+        if (uri) {
+          this.notify(server, uri);
+        }
+      }
+
+      if (event !== 'updated') {
+        server.sendResourceListChanged().catch(() => {});
+      }
+    }
+  }
+
+  notify(server, uri) {
+    server.sendResourceUpdated({ uri }).catch(error => {
+      this.log('error', `Failed to send resource update for ${uri}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Resource URIs (normalized) that reflect a given note
+   */
+  urisForNote(note) {
+    const uris = [NOTE_PREFIX + note.id];
+    if (note.content_hash) uris.push(NOTE_PREFIX + note.content_hash);
+    if (note.virtual_folder) uris.push(FOLDER_PREFIX + note.virtual_folder);
+    for (const tag of note.tags || []) {
+      uris.push(TAG_PREFIX + tag);
+    }
+    return uris;
+  }
+
+  /**
+   * Compare templated URIs by their decoded value
+   */
+  normalizeUri(uri) {
+    for (const prefix of [NOTE_PREFIX, FOLDER_PREFIX, TAG_PREFIX]) {
+      if (uri.startsWith(prefix)) {
+        try {
+          return prefix + decodeURIComponent(uri.slice(prefix.length));
+        } catch (error) {
+          return uri;
+        }
+      }
+    }
+    return uri;
+  }
+
+  feedKey(session) {
+    return `${session.currentProject}\n${session.apiKey || ''}`;
+  }
+
+  /**
+   * Stop all feeds and forget subscriptions
+   */
+  async close() {
+    this.subscribers.clear();
+    for (const feed of [...this.feeds.values()]) {
+      await this.stopFeed(feed);
+    }
+  }
+}
+
+export default SubscriptionManager;
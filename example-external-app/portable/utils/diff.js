@@ -0,0 +1,271 @@
+/**
+ * Line Diffs
+ *
+ * Minimal unified and word-level diffs for previews of note changes and
+ * revision history, and three-way merges for rebasing a change onto a note
+ * that moved on. Common leading and
+ * trailing lines are skipped before the LCS pass, so typical edits to long
+ * notes stay cheap; very large rewrites fall back to remove-all/add-all.
+ */
+
+// Above this many LCS cells the changed block is shown as a plain replacement
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line.
+ * Returns `{ added, removed, diff }` where diff is unified-diff text.
+ */
+export function diffLines(before = '', after = '', { context = 3 } = {}) {
+  const ops = diffOps(splitLines(before), splitLines(after));
+  const added = ops.filter(op => op.type === '+').length;
+  const removed = ops.filter(op => op.type === '-').length;
+
+  return { added, removed, diff: formatHunks(ops, context) };
+}
+
+/**
+ * Diff two texts word by word, marking changes inline like `git diff
+ * --word-diff`: [-removed-]{+added+}. Unchanged runs longer than twice
+ * `context` words are shortened to their ends around " ... ".
+ * Returns `{ added, removed, diff }` with added/removed counted in words.
+ */
+export function diffWords(before = '', after = '', { context = 8 } = {}) {
+  const ops = diffOps(splitWords(before), splitWords(after));
+  const countWords = type => ops.filter(op => op.type === type && op.text.trim() !== '').length;
+
+  // Group consecutive ops of the same type into runs
+  const runs = [];
+  for (const op of ops) {
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) {
+      last.tokens.push(op.text);
+    } else {
+      runs.push({ type: op.type, tokens: [op.text] });
+    }
+  }
+  if (!runs.some(run => run.type !== ' ')) {
+    return { added: 0, removed: 0, diff: '' };
+  }
+
+  const diff = runs.map((run, index) => {
+    const text = run.tokens.join('');
+    if (run.type === '-') return `[-${text}-]`;
+    if (run.type === '+') return `{+${text}+}`;
+    return shortenRun(run.tokens, context, { keepStart: index > 0, keepEnd: index < runs.length - 1 });
+  }).join('');
+
+  return { added: countWords('+'), removed: countWords('-'), diff };
+}
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', text }]
+ */
+export function diffOps(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = text => ({ type: ' ', text });
+  return [
+    ...a.slice(0, start).map(same),
+    ...middleOps(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(same)
+  ];
+}
+
+/**
+ * Three-way merge of two texts derived from a common base.
+ * Returns `{ merged, conflicts }`: merged is null when both sides changed
+ * overlapping lines of the base, and each conflict gives the base lines
+ * (1-based range) with what each side made of them.
+ */
+export function merge3(base = '', ours = '', theirs = '') {
+  const baseLines = splitLines(base);
+  const ourHunks = changeHunks(diffOps(baseLines, splitLines(ours)));
+  const theirHunks = changeHunks(diffOps(baseLines, splitLines(theirs)));
+
+  const conflicts = [];
+  for (const a of ourHunks) {
+    for (const b of theirHunks) {
+      if (overlaps(a, b) && !sameHunk(a, b)) {
+        const start = Math.min(a.start, b.start);
+        const end = Math.max(a.end, b.end);
+        conflicts.push({
+          base_lines: [start + 1, end],
+          base: baseLines.slice(start, end).join('\n'),
+          ours: a.lines.join('\n'),
+          theirs: b.lines.join('\n')
+        });
+      }
+    }
+  }
+  if (conflicts.length > 0) {
+    return { merged: null, conflicts };
+  }
+
+  // Apply both sides' hunks from the end of the base backwards; identical ones once
+  const hunks = [...ourHunks, ...theirHunks.filter(b => !ourHunks.some(a => sameHunk(a, b)))]
+    .sort((a, b) => b.start - a.start || b.end - a.end);
+  const merged = [...baseLines];
+  for (const hunk of hunks) {
+    merged.splice(hunk.start, hunk.end - hunk.start, ...hunk.lines);
+  }
+
+  return { merged: merged.join('\n'), conflicts };
+}
+
+export function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+// Words and the whitespace between them, as separate tokens
+function splitWords(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Unchanged tokens between changes: keep `context` words next to the
+ * changes on either side (only the sides that have one)
+ */
+function shortenRun(tokens, context, { keepStart, keepEnd }) {
+  const wordIndexes = tokens.map((token, index) => (token.trim() === '' ? -1 : index)).filter(index => index >= 0);
+  const kept = (keepStart ? context : 0) + (keepEnd ? context : 0);
+  if (wordIndexes.length <= kept) return tokens.join('');
+
+  const head = keepStart && context > 0 ? tokens.slice(0, wordIndexes[context - 1] + 1).join('') : '';
+  const tail = keepEnd && context > 0 ? tokens.slice(wordIndexes[wordIndexes.length - context]).join('') : '';
+  return `${head} ... ${tail}`;
+}
+
+function middleOps(a, b) {
+  const removeAll = () => a.map(text => ({ type: '-', text }));
+  const addAll = () => b.map(text => ({ type: '+', text }));
+
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return [...removeAll(), ...addAll()];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', text: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: '-', text: a[i++] });
+    } else {
+      ops.push({ type: '+', text: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', text: a[i++] });
+  while (j < b.length) ops.push({ type: '+', text: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Changed regions of an edit script: base lines [start, end) replaced by lines
+ */
+function changeHunks(ops) {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  for (const op of ops) {
+    if (op.type === ' ') {
+      current = null;
+      index++;
+      continue;
+    }
+    if (!current) {
+      current = { start: index, end: index, lines: [] };
+      hunks.push(current);
+    }
+    if (op.type === '-') {
+      index++;
+      current.end = index;
+    } else {
+      current.lines.push(op.text);
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Whether two hunks touch the same base lines (or insert at the same place)
+ */
+function overlaps(a, b) {
+  if (a.start === b.start) return true;
+  if (a.start < b.end && b.start < a.end) return true;
+
+  const insertedInside = (insert, range) =>
+    insert.start === insert.end && range.start < insert.start && insert.start < range.end;
+  return insertedInside(a, b) || insertedInside(b, a);
+}
+
+function sameHunk(a, b) {
+  return a.start === b.start && a.end === b.end && a.lines.join('\n') === b.lines.join('\n');
+}
+
+/**
+ * Render an edit script as unified diff hunks with `context` lines around changes
+ */
+function formatHunks(ops, context) {
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Merge change positions into [from, to) windows with surrounding context
+  const windows = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length, index + context + 1);
+    const last = windows[windows.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.max(last.to, to);
+    } else {
+      windows.push({ from, to });
+    }
+  }
+
+  // Line numbers (1-based) in the old and new text at each op
+  const positions = [];
+  let lineA = 1;
+  let lineB = 1;
+  for (const op of ops) {
+    positions.push({ lineA, lineB });
+    if (op.type !== '+') lineA++;
+    if (op.type !== '-') lineB++;
+  }
+
+  const lines = [];
+  for (const { from, to } of windows) {
+    const slice = ops.slice(from, to);
+    const lengthA = slice.filter(op => op.type !== '+').length;
+    const lengthB = slice.filter(op => op.type !== '-').length;
+    const startA = lengthA ? positions[from].lineA : positions[from].lineA - 1;
+    const startB = lengthB ? positions[from].lineB : positions[from].lineB - 1;
+
+    lines.push(`@@ -${startA},${lengthA} +${startB},${lengthB} @@`);
+    lines.push(...slice.map(op => `${op.type}${op.text}`));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,115 @@
+/**
+ * Knowledge AI API Errors
+ *
+ * Structured errors thrown by BaseHandler.apiRequest and the client so
+ * callers can branch on the failure type instead of matching message text.
+ */
+
+/**
+ * Base class for failed API requests.
+ * retryAfter is in milliseconds when the server sent a Retry-After header.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, endpoint = null, retryAfter = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.endpoint = endpoint;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 400 / 422 - the request was rejected as invalid
+ */
+export class ValidationError extends ApiError {}
+
+/**
+ * 401 / 403 - missing, invalid or insufficiently privileged API key
+ */
+export class AuthError extends ApiError {}
+
+/**
+ * 404 - the endpoint or resource does not exist
+ */
+export class NotFoundError extends ApiError {}
+
+/**
+ * 409 / 412 - the note changed since the version the write was based on.
+ * `conflict` holds the versions and, when the base version is known, a
+ * three-way diff: base -> theirs (current note), base -> ours (this write).
+ */
+export class ConflictError extends ApiError {
+  constructor(message, { conflict = null, ...options } = {}) {
+    super(message, options);
+    this.conflict = conflict;
+  }
+}
+
+/**
+ * 429 - too many requests
+ */
+export class RateLimitError extends ApiError {}
+
+/**
+ * 5xx, or the API (or a backing service like the embedding store) is unreachable
+ */
+export class ServiceUnavailableError extends ApiError {}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+export class TimeoutError extends ServiceUnavailableError {}
+
+/**
+ * Requests are short-circuited because the API kept failing
+ */
+export class CircuitOpenError extends ServiceUnavailableError {}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the error matching an HTTP error response
+ */
+export function createApiError(status, body, endpoint, { retryAfter = null } = {}) {
+  const detail = typeof body === 'object' && body !== null
+    ? body.error || body.message || JSON.stringify(body)
+    : body;
+  const message = `API request failed (${status}): ${detail || 'No response body'}`;
+  const options = { status, body, endpoint, retryAfter };
+
+  if (status === 400 || status === 422) return new ValidationError(message, options);
+  if (status === 401 || status === 403) return new AuthError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 409 || status === 412) return new ConflictError(message, options);
+  if (status === 429) return new RateLimitError(message, options);
+  if (status >= 500) return new ServiceUnavailableError(message, options);
+
+  return new ApiError(message, options);
+}
+
+/**
+ * Read an error response body, parsing JSON when possible
+ */
+export async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
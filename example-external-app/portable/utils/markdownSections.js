@@ -0,0 +1,169 @@
+import { NotFoundError } from './errors.js';
+import { splitLines } from './diff.js';
+
+/**
+ * Markdown Sections
+ *
+ * Heading outline of a markdown note and the line ranges of its sections,
+ * for editing by heading instead of quoting text. ATX headings (`## Title`)
+ * count; lines inside fenced code blocks don't. A section runs from its
+ * heading to the next heading of the same or a higher level, so it includes
+ * its subsections. Line numbers are 1-based.
+ */
+
+const HEADING = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// Headings listed in a "not found" error
+const MAX_LISTED_HEADINGS = 20;
+
+/**
+ * Parse a note into lines and sections:
+ * [{ level, heading, path, start_line, end_line, body_end_line }]
+ * where body_end_line is the last line before the first subsection.
+ */
+export function parseOutline(content = '') {
+  const lines = splitLines(content);
+  const sections = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    const match = line.match(HEADING);
+    if (match) {
+      sections.push({ level: match[1].length, heading: match[2].trim(), start_line: index + 1 });
+    }
+  });
+
+  const parents = [];
+  sections.forEach((section, index) => {
+    const next = sections.slice(index + 1).find(other => other.level <= section.level);
+    section.end_line = next ? next.start_line - 1 : lines.length;
+    section.body_end_line = index + 1 < sections.length ? sections[index + 1].start_line - 1 : lines.length;
+
+    while (parents.length > 0 && parents[parents.length - 1].level >= section.level) parents.pop();
+    section.parents = parents.map(parent => parent.heading);
+    section.path = [...section.parents, section.heading].join(' > ');
+    parents.push(section);
+  });
+
+  return { lines, sections };
+}
+
+/**
+ * Find one section by heading text ("Decisions"), with its level
+ * ("## Decisions") or by path ("Project > Decisions"); case-insensitive.
+ * `line` (the heading's start line) picks between identical headings.
+ */
+export function findSection(sections, selector, { line = null } = {}) {
+  const parts = String(selector).split(/\s+>\s+/).map(part => part.trim()).filter(Boolean);
+  const last = parts.pop() || '';
+  const levelMatch = last.match(/^(#{1,6})\s+(.*)$/);
+  const level = levelMatch ? levelMatch[1].length : null;
+  const text = normalize(levelMatch ? levelMatch[2] : last);
+  const parents = parts.map(part => normalize(part.replace(/^#{1,6}\s+/, '')));
+
+  const matches = sections.filter(section =>
+    normalize(section.heading) === text &&
+    (level === null || section.level === level) &&
+    endsWith(section.parents.map(normalize), parents) &&
+    (line === null || section.start_line === line)
+  );
+
+  if (matches.length === 0) {
+    const listed = sections.slice(0, MAX_LISTED_HEADINGS).map(section => `${'#'.repeat(section.level)} ${section.heading}`);
+    const more = sections.length > MAX_LISTED_HEADINGS ? `, ... (${sections.length - MAX_LISTED_HEADINGS} more)` : '';
+    throw new NotFoundError(sections.length > 0
+      ? `Heading "${selector}" not found. Headings: ${listed.join(', ')}${more}`
+      : `Heading "${selector}" not found: the note has no headings`);
+  }
+  if (matches.length > 1) {
+    const places = matches.map(section => `"${section.path}" (line ${section.start_line})`).join(', ');
+    const paths = new Set(matches.map(section => section.path));
+    const hint = paths.size === matches.length ? 'a full path or line' : 'line';
+    throw new Error(`Heading "${selector}" matches ${matches.length} sections: ${places}. Pass ${hint} to pick one`);
+  }
+  return matches[0];
+}
+
+/**
+ * Text of a section, with or without its subsections
+ */
+export function readSection(lines, section, { includeSubsections = true } = {}) {
+  const end = includeSubsections ? section.end_line : section.body_end_line;
+  return trimBlankLines(lines.slice(section.start_line - 1, end)).join('\n');
+}
+
+/**
+ * Replace a section's body (and its heading, unless keepHeading), keeping
+ * the blank lines around it
+ */
+export function replaceSection(lines, section, text, { keepHeading = true } = {}) {
+  const start = keepHeading ? section.start_line : section.start_line - 1;
+  const old = lines.slice(start, section.end_line);
+  const blankOnly = old.every(line => line.trim() === '');
+  const leading = keepHeading && !blankOnly ? countBlank(old) : 0;
+  const trailing = blankOnly ? Math.min(old.length, 1) : countBlank([...old].reverse());
+  const body = trimBlankLines(splitLines(text));
+  const blank = count => Array(count).fill('');
+
+  const replacement = body.length > 0 || !keepHeading
+    ? [...blank(leading), ...body, ...blank(trailing)]
+    : blank(Math.min(trailing, 1));
+  return splice(lines, start, section.end_line - start, replacement);
+}
+
+/**
+ * Add text after the last non-blank line of a section's own body (before
+ * its first subsection)
+ */
+export function appendToSection(lines, section, text) {
+  let at = section.body_end_line;
+  while (at > section.start_line && lines[at - 1].trim() === '') at--;
+  return splice(lines, at, 0, splitLines(text));
+}
+
+/**
+ * Add text directly below a section's heading
+ */
+export function insertAfterHeading(lines, section, text) {
+  return splice(lines, section.start_line, 0, splitLines(text));
+}
+
+function splice(lines, start, deleteCount, insert) {
+  const result = [...lines];
+  result.splice(start, deleteCount, ...insert);
+  return result.join('\n');
+}
+
+function countBlank(lines) {
+  let count = 0;
+  while (count < lines.length && lines[count].trim() === '') count++;
+  return count;
+}
+
+function trimBlankLines(lines) {
+  const start = countBlank(lines);
+  const end = lines.length - countBlank([...lines].reverse());
+  return start < end ? lines.slice(start, end) : [];
+}
+
+function normalize(text) {
+  return text.replace(/\s+#+\s*$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function endsWith(list, suffix) {
+  if (suffix.length > list.length) return false;
+  return suffix.every((item, index) => list[list.length - suffix.length + index] === item);
+}
@@ -0,0 +1,79 @@
+/**
+ * Tool Output Schemas
+ *
+ * JSON Schemas for the `structuredContent` of tool results. Every tool
+ * returns the same envelope; `data` is described only where the server
+ * shapes it itself (see ResponseBuilder), and passed through from the
+ * Knowledge AI API unchanged otherwise.
+ */
+
+const NOTE = {
+  type: 'object',
+  properties: {
+    id: { type: ['number', 'string'] },
+    title: { type: ['string', 'null'] },
+    version: { type: ['string', 'null'], description: 'Pass as expected_version to update only this version' },
+    content: { type: ['string', 'null'], description: 'Possibly a slice; see content_range' },
+    tags: { type: ['array', 'null'], items: { type: 'string' } },
+    preview: { type: ['string', 'null'] },
+    content_range: {
+      type: 'object',
+      properties: {
+        start: { type: 'number' },
+        end: { type: 'number' },
+        total: { type: 'number' }
+      }
+    }
+  }
+};
+
+const NOTE_LIST = {
+  type: 'object',
+  properties: {
+    notes: { type: 'array', items: NOTE },
+    pagination: {
+      type: 'object',
+      properties: {
+        offset: { type: 'number' },
+        returned: { type: 'number' },
+        total: { type: ['number', 'null'] },
+        has_more: { type: 'boolean' },
+        next_offset: { type: ['number', 'null'] }
+      }
+    }
+  }
+};
+
+const DATA_SCHEMAS = {
+  list_notes: NOTE_LIST,
+  get_note: NOTE,
+  create_note: NOTE,
+  update_note: NOTE
+};
+
+/**
+ * Output schema for a tool's result envelope
+ */
+export function getOutputSchema(toolName) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: DATA_SCHEMAS[toolName] || { description: 'Tool result as returned by the Knowledge AI API' },
+      message: { type: ['string', 'null'] },
+      error: { type: 'string', description: 'Set when success is false' },
+      continue: {
+        type: 'object',
+        description: 'Tool call that fetches the rest of a truncated result',
+        properties: {
+          tool: { type: 'string' },
+          arguments: { type: 'object' }
+        },
+        required: ['tool', 'arguments']
+      },
+      dry_run: { type: 'boolean', description: 'Set when nothing was changed; data holds { request, effect }' },
+      timestamp: { type: 'string' }
+    },
+    required: ['success']
+  };
+}
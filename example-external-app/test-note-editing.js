@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import PortableKnowledgeAiMcpServer from './portable/index.js';
+
+/**
+ * Fake Knowledge AI API keeping notes in memory. Supports listing (with
+ * tag and folder filters), get, old_str/new_str PATCH, metadata PUT and the
+ * content preview/validate checks; it keeps no revisions. Writes are
+ * counted in `writes`.
+ */
+async function startFakeApi() {
+  const notes = new Map();
+  const writes = [];
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : {};
+    const url = new URL(req.url, 'http://localhost');
+    const [, id, action] = url.pathname.match(/^\/api\/projects\/[^/]+\/notes(?:\/([^/]+)(\/.+)?)?$/) || [];
+    const note = id !== undefined ? notes.get(id) : null;
+
+    if (id === undefined && req.method === 'GET') {
+      const tags = url.searchParams.getAll('tags');
+      const folder = url.searchParams.get('virtual_folder');
+      const offset = parseInt(url.searchParams.get('offset')) || 0;
+      const matching = [...notes.values()].filter(candidate =>
+        tags.every(tag => (candidate.tags || []).includes(tag)) && (!folder || candidate.virtual_folder === folder)
+      );
+      return send(res, 200, { success: true, data: { notes: matching.slice(offset), total: matching.length } });
+    }
+    if (!note) {
+      return send(res, 404, { error: `Note ${id} not found` });
+    }
+    if (action === '/content/preview') {
+      return send(res, 200, { success: true, data: { wouldSucceed: note.content.includes(body.old_str) } });
+    }
+    if (action === '/content/validate') {
+      return send(res, 200, { success: true, data: { isValid: note.content.includes(body.old_str) } });
+    }
+    if (action !== undefined) {
+      return send(res, 404, { error: 'Not found' });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return send(res, 200, { success: true, data: note });
+      case 'PATCH':
+        if (!note.content.includes(body.old_str)) {
+          return send(res, 400, { error: 'old_str not found in note content' });
+        }
+        writes.push({ id, method: 'PATCH' });
+        note.content = note.content.replace(body.old_str, () => body.new_str);
+        return send(res, 200, { success: true, data: note });
+      case 'PUT':
+        writes.push({ id, method: 'PUT' });
+        for (const field of ['title', 'tags', 'virtual_folder']) {
+          if (body[field] !== undefined) note[field] = body[field];
+        }
+        return send(res, 200, { success: true, data: note });
+      default:
+        return send(res, 405, { error: 'Method not allowed' });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, notes, writes, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function testNoteEditing() {
+  console.log('🧪 Testing note editing tools...');
+
+  const api = await startFakeApi();
+  const mcpServer = new PortableKnowledgeAiMcpServer({
+    apiUrl: api.url,
+    apiKey: 'admin-test-project-secret',
+    logging: { enabled: false }
+  });
+
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (ok) {
+      console.log(`✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`❌ ${label}${detail ? `: ${detail}` : ''}`);
+    }
+    return ok;
+  };
+  const call = async (name, args) => (await mcpServer.callTool(name, args)).structuredContent;
+  const addNote = (id, fields) => api.notes.set(String(id), { id, title: `Note ${id}`, tags: [], virtual_folder: '', ...fields });
+  const content = id => api.notes.get(String(id)).content;
+  const sorted = tags => [...tags].sort().join(',');
+
+  try {
+    // Multi-edit update: all edits land in one write, or none when one fails
+    addNote(1, { content: 'alpha\nbeta\ngamma\n' });
+    let result = await call('update_note', { id: 1, edits: [{ old_str: 'alpha', new_str: 'ALPHA' }, { old_str: 'gamma', new_str: 'GAMMA' }] });
+    check('Edits applied together', result?.success && content(1) === 'ALPHA\nbeta\nGAMMA\n' && api.writes.length === 1,
+      JSON.stringify(result?.error ?? content(1)));
+
+    result = await call('update_note', { id: 1, edits: [{ old_str: 'beta', new_str: 'BETA' }, { old_str: 'delta', new_str: 'DELTA' }] });
+    check('Failing edit leaves the note unchanged', result?.success === false && content(1) === 'ALPHA\nbeta\nGAMMA\n' && api.writes.length === 1,
+      JSON.stringify(result?.error));
+
+    // Section editing: only the addressed section changes
+    addNote(2, { content: '# Doc\n\n## Setup\nold steps\n\n## Usage\nrun it\n' });
+    result = await call('replace_section', { id: 2, heading: 'Setup', content: 'new steps\n' });
+    check('Section replaced', result?.success && content(2).includes('## Setup\nnew steps') && !content(2).includes('old steps'),
+      JSON.stringify(result?.error ?? content(2)));
+    check('Other sections untouched', content(2).startsWith('# Doc\n') && content(2).includes('## Usage\nrun it'), content(2));
+
+    result = await call('append_to_section', { id: 2, heading: 'Usage', content: 'then check the logs' });
+    check('Appended to section', result?.success && /## Usage\nrun it\n+then check the logs/.test(content(2)), JSON.stringify(result?.error ?? content(2)));
+
+    // Optimistic concurrency: a write based on an old version rebases when
+    // the changes don't overlap, and is refused when they do
+    addNote(3, { content: 'intro\n\nmiddle\n\noutro\n' });
+    let read = await call('get_note', { id: 3 });
+    const base = read?.data?.version;
+    api.notes.get('3').content = 'intro (edited elsewhere)\n\nmiddle\n\noutro\n';
+
+    result = await call('update_note', { id: 3, old_str: 'outro', new_str: 'the end', expected_version: base });
+    check('Stale version refused without rebase', result?.success === false && result.conflict?.rebasable === true && content(3).includes('outro'),
+      JSON.stringify(result?.error));
+
+    result = await call('update_note', { id: 3, old_str: 'outro', new_str: 'the end', expected_version: base, rebase: true });
+    check('Non-overlapping change rebased', result?.success && content(3) === 'intro (edited elsewhere)\n\nmiddle\n\nthe end\n',
+      JSON.stringify(result?.error ?? content(3)));
+
+    read = await call('get_note', { id: 3 });
+    const stale = read?.data?.version;
+    api.notes.get('3').content = 'intro (edited elsewhere)\n\nmiddle, rewritten elsewhere\n\nthe end\n';
+    result = await call('update_note', { id: 3, old_str: 'middle', new_str: 'center', expected_version: stale, rebase: true });
+    check('Overlapping change reported as a conflict', result?.success === false && result.conflict?.conflicts?.length > 0,
+      JSON.stringify(result?.error));
+    check('Conflicting write not applied', content(3) === 'intro (edited elsewhere)\n\nmiddle, rewritten elsewhere\n\nthe end\n', content(3));
+
+    // History falls back to the versions seen here when the API keeps none
+    result = await call('get_note_history', { id: 3 });
+    check('History falls back to local versions', result?.success && result.data?.source === 'local' && result.data.revisions.length >= 3,
+      JSON.stringify(result?.error ?? result?.data));
+
+    // find_replace: regex with capture groups across notes, preview first
+    addNote(4, { content: 'Fix TODO-12 soon', virtual_folder: 'tasks' });
+    addNote(5, { content: 'TODO-7 and TODO-8', virtual_folder: 'tasks' });
+    addNote(6, { content: 'Nothing to do', virtual_folder: 'tasks' });
+    const writesBefore = api.writes.length;
+    const findReplace = { find: 'TODO-(\\d+)', replace: 'DONE-$1', regex: true, virtual_folder: 'tasks' };
+    result = await call('find_replace', findReplace);
+    check('find_replace previews matches across notes', result?.success && result.data?.matched_notes === 2 && result.data.total_matches === 3,
+      JSON.stringify(result?.error ?? result?.data));
+    check('Preview writes nothing', api.writes.length === writesBefore && content(4) === 'Fix TODO-12 soon');
+
+    result = await call('find_replace', { ...findReplace, apply: true, ids: result?.data?.apply_with?.ids ?? [] });
+    check('find_replace applied to the approved notes',
+      result?.success && content(4) === 'Fix DONE-12 soon' && content(5) === 'DONE-7 and DONE-8' && content(6) === 'Nothing to do',
+      JSON.stringify(result?.error ?? [content(4), content(5)]));
+
+    // Tag merge: the merged tags become one, every other tag stays
+    addNote(7, { content: 'a', tags: ['ML', 'python'] });
+    addNote(8, { content: 'b', tags: ['machine-learning', 'ml', 'draft'] });
+    addNote(9, { content: 'c', tags: ['python'] });
+    result = await call('merge_tags', { tags: ['ML', 'machine-learning'], into: 'ml' });
+    const tags = id => api.notes.get(String(id)).tags;
+    check('Tags merged', result?.success && result.data?.summary?.updated === 2, JSON.stringify(result?.error ?? result?.data));
+    check('Other tags kept on merged notes', sorted(tags(7)) === 'ml,python' && sorted(tags(8)) === 'draft,ml',
+      JSON.stringify([tags(7), tags(8)]));
+    check('Notes without the merged tags untouched', sorted(tags(9)) === 'python' && !api.writes.some(write => write.id === '9'));
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    await mcpServer.close();
+    api.server.close();
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} note editing check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n🎉 All note editing checks passed!');
+}
+
+testNoteEditing();
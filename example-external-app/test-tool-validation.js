@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import PortableKnowledgeAiMcpServer from './portable/index.js';
+import SchemaValidator from './portable/utils/SchemaValidator.js';
+
+/**
+ * Smallest value satisfying a property schema
+ */
+function sampleValue(schema) {
+  if (schema.enum) return schema.enum[0];
+
+  const type = [].concat(schema.type)[0];
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? Math.min(1, schema.maximum ?? 1);
+    case 'boolean':
+      return true;
+    case 'array':
+      return [sampleValue(schema.items || { type: 'string' })];
+    case 'object':
+      return validArguments(schema);
+    default:
+      return 'x'.repeat(Math.max(schema.minLength || 1, 1));
+  }
+}
+
+function validArguments(inputSchema) {
+  const args = {};
+  for (const [name, schema] of Object.entries(inputSchema.properties || {})) {
+    args[name] = sampleValue(schema);
+  }
+  return args;
+}
+
+function fieldErrors(validator, tool, args) {
+  try {
+    validator.validate(tool.name, tool.inputSchema, args);
+    return [];
+  } catch (error) {
+    if (!error.errors) throw error;
+    return error.errors;
+  }
+}
+
+/**
+ * Fake Knowledge AI API recording the project requests it receives.
+ * Notes put in `notes` (by ID) are served from /notes/:id.
+ */
+async function startFakeApi() {
+  const requests = [];
+  const notes = new Map();
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/api/projects/')) {
+      requests.push(req.url);
+    }
+    const noteId = req.url.match(/\/notes\/([^/?]+)$/)?.[1];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: notes.get(noteId) ?? { notes: [], total: 0 } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, notes, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function testToolValidation() {
+  console.log('🧪 Testing tool argument validation...');
+
+  const api = await startFakeApi();
+  const mcpServer = new PortableKnowledgeAiMcpServer({
+    apiUrl: api.url,
+    apiKey: 'admin-test-project-secret',
+    logging: { enabled: false }
+  });
+  const validator = new SchemaValidator();
+
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) {
+      failures++;
+      console.log(`❌ ${label}${detail ? `: ${detail}` : ''}`);
+    }
+    return ok;
+  };
+
+  try {
+    // Every tool's schema: valid arguments pass, each constraint is enforced
+    for (const tool of mcpServer.getToolDefinitions().values()) {
+      const failuresBefore = failures;
+      const properties = tool.inputSchema.properties || {};
+      const valid = validArguments(tool.inputSchema);
+      const expectError = (label, args, field) => {
+        const errors = fieldErrors(validator, tool, args);
+        check(`${tool.name}: ${label}`, errors.some(error => error.field === field), JSON.stringify(errors));
+      };
+
+      const errors = fieldErrors(validator, tool, valid);
+      check(`${tool.name}: valid arguments accepted`, errors.length === 0, JSON.stringify(errors));
+
+      for (const field of tool.inputSchema.required || []) {
+        const { [field]: omitted, ...missing } = valid;
+        expectError(`missing ${field} rejected`, missing, field);
+      }
+
+      expectError('unknown argument rejected', { ...valid, not_an_argument: 'x' }, 'not_an_argument');
+
+      for (const [field, schema] of Object.entries(properties)) {
+        const types = [].concat(schema.type);
+
+        expectError(`${field} with wrong type rejected`, { ...valid, [field]: types.includes('object') ? 42 : { wrong: true } }, field);
+
+        if (types.includes('number') && !types.includes('string')) {
+          const coerced = validator.validate(tool.name, tool.inputSchema, { ...valid, [field]: String(valid[field]) });
+          check(`${tool.name}: ${field} numeric string coerced`, coerced[field] === valid[field]);
+        }
+        if (types.includes('boolean')) {
+          const coerced = validator.validate(tool.name, tool.inputSchema, { ...valid, [field]: 'false' });
+          check(`${tool.name}: ${field} boolean string coerced`, coerced[field] === false);
+        }
+        if (schema.minimum !== undefined) {
+          expectError(`${field} below minimum rejected`, { ...valid, [field]: schema.minimum - 1 }, field);
+        }
+        if (schema.maximum !== undefined) {
+          expectError(`${field} above maximum rejected`, { ...valid, [field]: schema.maximum + 1 }, field);
+        }
+        if (schema.enum) {
+          expectError(`${field} outside enum rejected`, { ...valid, [field]: 'not-an-option' }, field);
+        }
+        if (schema.minLength) {
+          expectError(`${field} too short rejected`, { ...valid, [field]: '' }, field);
+        }
+        if (schema.maxLength) {
+          expectError(`${field} too long rejected`, { ...valid, [field]: 'x'.repeat(schema.maxLength + 1) }, field);
+        }
+        if (types.includes('array') && schema.items?.type) {
+          const wrongItem = [].concat(schema.items.type).includes('object') ? 42 : { wrong: true };
+          expectError(`${field} item with wrong type rejected`, { ...valid, [field]: [wrongItem] }, `${field}[0]`);
+        }
+      }
+
+      if (failures === failuresBefore) {
+        const count = Object.keys(properties).length;
+        console.log(`✅ ${tool.name}: ${count} argument${count === 1 ? '' : 's'} checked`);
+      }
+    }
+
+    // Dispatch: invalid calls never reach the handler, valid ones arrive coerced
+    const rejected = await mcpServer.callTool('list_notes', { limit: 0, tags: 'urgent' });
+    const rejection = JSON.parse(rejected.content[0].text);
+    check('Invalid call returns isError', rejected.isError === true);
+    check('Field-level errors returned', rejection.fields?.map(error => error.field).join(',') === 'limit,tags', JSON.stringify(rejection.fields));
+    check('Invalid call not sent to the API', api.requests.length === 0, api.requests.join(', '));
+
+    const accepted = await mcpServer.callTool('list_notes', { limit: '5', tags: '["urgent"]', streamlined: null });
+    check('Coerced call succeeds', !accepted.isError, accepted.content[0].text);
+    check('Coerced arguments sent to the API', api.requests[0]?.includes('limit=5&tags=urgent'), api.requests[0]);
+
+    const misspelled = await mcpServer.callTool('get_note', { note_id: 42 });
+    const misspelling = JSON.parse(misspelled.content[0].text);
+    check('Misspelled argument rejected', misspelled.isError === true && misspelling.fields?.some(error => error.field === 'note_id' && /unknown argument/.test(error.message)), JSON.stringify(misspelling.fields));
+    check('Misspelled call not sent to the API', api.requests.length === 1, api.requests.join(', '));
+
+    const unknown = await mcpServer.callTool('no_such_tool', {});
+    check('Unknown tool rejected', unknown.isError === true);
+
+    // Structured results must pass the SDK client's outputSchema check, null fields included
+    api.notes.set('7', { id: 7, title: null, content: null, tags: null });
+    const client = new Client({ name: 'test-tool-validation', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await mcpServer.createMcpServer().connect(serverTransport);
+    await client.connect(clientTransport);
+    await client.listTools(); // The client compiles the output schemas here
+    try {
+      const result = await client.callTool({ name: 'get_note', arguments: { id: 7 } });
+      check('Note with null title matches the output schema', !result.isError && result.structuredContent?.data?.title === null,
+        JSON.stringify(result.structuredContent));
+    } catch (error) {
+      check('Note with null title matches the output schema', false, error.message);
+    } finally {
+      await client.close();
+    }
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    await mcpServer.close();
+    api.server.close();
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} validation check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n🎉 All tool validation checks passed!');
+}
+
+testToolValidation();
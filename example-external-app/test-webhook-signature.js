@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+import { createHmac } from 'crypto';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import KnowledgeAiMcpClient from './portable/client.js';
+import EventJournal from './portable/utils/EventJournal.js';
+
+const SECRET = 'test-webhook-secret';
+
+/**
+ * Fake Knowledge AI webhook sender
+ */
+function signedHeaders(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000), deliveryId } = {}) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signature}`
+  };
+  if (deliveryId) {
+    headers['X-Webhook-Id'] = deliveryId;
+  }
+  return headers;
+}
+
+async function send(url, body, headers) {
+  const response = await fetch(url, { method: 'POST', headers, body });
+  return response.status;
+}
+
+async function testWebhookSignature() {
+  console.log('🧪 Testing webhook signature verification...');
+
+  const client = new KnowledgeAiMcpClient({
+    webhook: { enabled: true, port: 0, path: '/webhook', secret: SECRET, signatureTolerance: 300 },
+    logging: { enabled: false }
+  });
+
+  const deleted = [];
+  const rejected = [];
+  client.on('noteDeleted', note => deleted.push(note));
+  client.on('webhookRejected', info => rejected.push(info.reason));
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+  };
+
+  try {
+    // Only the receiver is needed - no Knowledge AI instance required
+    await client.setupWebhookReceiver();
+    const url = client.webhookUrl;
+    const body = JSON.stringify({ event: 'deleted', data: { id: 42, title: 'Signed note' } });
+
+    const validHeaders = signedHeaders(body, { deliveryId: 'delivery-1' });
+    check('Valid signature accepted', await send(url, body, validHeaders), 200);
+    check('Retried delivery acknowledged as duplicate', await send(url, body, validHeaders), 200);
+    check('Replay with new delivery ID rejected', await send(url, body, { ...validHeaders, 'X-Webhook-Id': 'delivery-2' }), 401);
+
+    // A delivery whose journaling failed must be accepted when retried
+    const retryBody = JSON.stringify({ event: 'deleted', data: { id: 43, title: 'Retried note' } });
+    const retryHeaders = signedHeaders(retryBody, { deliveryId: 'delivery-3' });
+    const append = client.journal.append;
+    client.journal.append = async () => { throw new Error('ENOSPC: no space left on device'); };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      check('Journaling failure answered with 500', await send(url, retryBody, retryHeaders), 500);
+    } finally {
+      client.journal.append = append;
+      console.error = originalError;
+    }
+    check('Retry after journaling failure accepted', await send(url, retryBody, retryHeaders), 200);
+
+    check('Unsigned delivery rejected', await send(url, body, { 'Content-Type': 'application/json' }), 401);
+    check('Wrong secret rejected', await send(url, body, signedHeaders(body, { secret: 'not-the-secret' })), 401);
+
+    const tampered = JSON.stringify({ event: 'deleted', data: { id: 7, title: 'Forged' } });
+    check('Tampered body rejected', await send(url, tampered, signedHeaders(body)), 401);
+
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
+    check('Stale timestamp rejected', await send(url, body, signedHeaders(body, { timestamp: staleTimestamp })), 401);
+
+    check('Only the valid deliveries were emitted', deleted.length, 2);
+    check('webhookRejected events emitted', rejected.length, 5);
+    console.log('   Rejection reasons:', rejected.join(', '));
+
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    client.webhookServer?.close();
+  }
+
+  console.log('\n🧪 Testing event journal writes...');
+  const dir = await fs.mkdtemp(join(tmpdir(), 'event-journal-'));
+  try {
+    // A file where the journal's directory should be makes the first append fail
+    const blocker = join(dir, 'journal');
+    await fs.writeFile(blocker, '');
+    const journal = new EventJournal({ path: join(blocker, 'events.jsonl') });
+
+    const failed = await journal.append({ type: 'received', id: 'first' }).then(() => false, () => true);
+    check('Failed append rejected', failed, true);
+
+    await fs.rm(blocker);
+    const recovered = await journal.append({ type: 'received', id: 'second' }).then(() => true, () => false);
+    check('Next append written after a failure', recovered, true);
+    check('Journal file holds the later record', (await fs.readFile(journal.path, 'utf8')).includes('"second"'), true);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} webhook signature check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n🎉 All webhook signature checks passed!');
+}
+
+testWebhookSignature();